@@ -0,0 +1,265 @@
+/**
+ * CreatorB Attribution
+ * First-touch and last-touch records for creator traffic. Loaded on every
+ * storefront page (layout/theme.liquid), so a sale is credited to the right
+ * creator even when the shopper browses the main store before checking out.
+ *
+ * Contract
+ * - Touch: a landing with UTM parameters, `ref`, a click id or a referrer
+ *   from another site. A touch only names a creator through touchCreator():
+ *   creator pages call it, and so does a `?ref=` landing once
+ *   cb-creator-session.js confirms the ref is a creator. Moving between pages
+ *   of the shop is not a touch.
+ * - Records: the first touch is kept until it expires (firstTouchTtl); the
+ *   last touch is replaced by every new touch and expires after lastTouchTtl.
+ * - Consent: click ids and the referrer identify a visit, so they're only
+ *   kept with analytics consent (cb-consent.js). Without it a record keeps
+ *   the creator, `ref` and UTM campaign fields.
+ * - Consumers: analytics events (metadata.attribution), the Shopify cart
+ *   (_cb_first_touch / _cb_last_touch attributes, synced whenever the
+ *   records or the cart change, so any checkout carries them) and the
+ *   creator shop's checkout hand-off. assets/cb-purchase-pixel.js credits
+ *   the order from those attributes.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'cb_attribution';
+  const SYNC_STORAGE_KEY = 'cb_attribution_synced';
+  const FIRST_TOUCH_ATTRIBUTE = '_cb_first_touch';
+  const LAST_TOUCH_ATTRIBUTE = '_cb_last_touch';
+
+  const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+  const CLICK_ID_PARAMS = ['gclid', 'gbraid', 'wbraid', 'fbclid', 'ttclid', 'msclkid', 'twclid', 'li_fat_id', 'epik', 'sccid'];
+
+  // Fields dropped without analytics consent
+  const PERSONAL_FIELDS = ['click_ids', 'referrer'];
+
+  const DEFAULT_RULES = {
+    firstTouchTtl: 30 * 24 * 60 * 60 * 1000,
+    lastTouchTtl: 7 * 24 * 60 * 60 * 1000,
+  };
+
+  let rules = { ...DEFAULT_RULES };
+
+  // This page's touch, when the landing was one
+  let landing = null;
+
+  function configure(overrides = {}) {
+    rules = { ...DEFAULT_RULES, ...overrides };
+    return rules;
+  }
+
+  function pick(params, keys) {
+    return Object.fromEntries(keys.filter(key => params.get(key)).map(key => [key, params.get(key)]));
+  }
+
+  /**
+   * The shop's own hosts are this one and its myshopify.com domain, with
+   * their subdomains: www.example.com covers creator.example.com, but
+   * other.co.uk isn't example.co.uk and other shops' myshopify.com domains
+   * aren't this one
+   */
+  function isShopHost(host, hostname) {
+    const candidate = host.replace(/^www\./, '');
+    return [hostname.replace(/^www\./, ''), window.Shopify?.shop]
+      .filter(Boolean)
+      .some(shop => candidate === shop || candidate.endsWith(`.${shop}`));
+  }
+
+  function externalReferrer(referrer, hostname = window.location.hostname) {
+    try {
+      const url = new URL(referrer);
+      return isShopHost(url.hostname, hostname) ? null : `${url.origin}${url.pathname}`;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * The touch a landing URL and referrer describe, or null for internal navigation
+   */
+  function touchFromLanding({ href = window.location.href, referrer = document.referrer, now = Date.now() } = {}) {
+    const url = new URL(href);
+    const utm = pick(url.searchParams, UTM_PARAMS);
+    const clickIds = pick(url.searchParams, CLICK_ID_PARAMS);
+    const ref = url.searchParams.get('ref') || null;
+    const external = externalReferrer(referrer, url.hostname);
+
+    if (!ref && !external && !Object.keys(utm).length && !Object.keys(clickIds).length) return null;
+
+    // `ref` is whatever the link said; the creator is only set once the ref
+    // is confirmed (touchCreator() from CBCreatorSession.startFromLanding)
+    return {
+      creator: null,
+      ref,
+      ...utm,
+      click_ids: Object.keys(clickIds).length ? clickIds : null,
+      referrer: external,
+      landing_page: url.pathname,
+      at: now,
+    };
+  }
+
+  function isExpired(record, now = Date.now()) {
+    return !record || !record.expiresAt || now >= record.expiresAt;
+  }
+
+  function read() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null') || {};
+      return {
+        first: isExpired(stored.first) ? null : stored.first,
+        last: isExpired(stored.last) ? null : stored.last,
+      };
+    } catch {
+      return { first: null, last: null };
+    }
+  }
+
+  function write(records) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+    } catch {
+      // Storage unavailable (private mode) - attribution falls back to the hand-off's ref
+    }
+  }
+
+  /**
+   * Store a touch as the last touch, and as the first while there's none.
+   * Re-recording the same touch (more fields once consent is granted)
+   * updates whichever records it already is.
+   */
+  function record(touch, { personal = false } = {}) {
+    const entry = { ...touch };
+    if (!personal) PERSONAL_FIELDS.forEach(field => delete entry[field]);
+
+    const records = read();
+    if (!records.first || records.first.at === touch.at) {
+      records.first = { ...entry, expiresAt: touch.at + rules.firstTouchTtl };
+    }
+    records.last = { ...entry, expiresAt: touch.at + rules.lastTouchTtl };
+
+    write(records);
+    syncCart();
+  }
+
+  function commit(touch) {
+    record(touch);
+
+    if (window.CBConsent) {
+      CBConsent.whenReady().then(consent => {
+        if (consent === 'granted') record(touch, { personal: true });
+      });
+    }
+  }
+
+  function capture(options) {
+    const touch = touchFromLanding(options);
+    if (touch) {
+      landing = touch;
+      commit(touch);
+    }
+    return touch;
+  }
+
+  /**
+   * A visit to a creator's page is a touch for that creator
+   */
+  function touchCreator(creator) {
+    if (!creator) return;
+
+    landing = { ...(landing || { landing_page: window.location.pathname, at: Date.now() }), creator };
+    commit(landing);
+  }
+
+  function compact(entry) {
+    if (!entry) return null;
+    return Object.fromEntries(Object.entries(entry).filter(([key, value]) => key !== 'expiresAt' && value != null));
+  }
+
+  /**
+   * Unexpired { first, last } records, as attached to analytics events
+   */
+  function current() {
+    const records = read();
+    return { first: compact(records.first), last: compact(records.last) };
+  }
+
+  /**
+   * The most recent creator credited (last touch, then first touch)
+   */
+  function creator() {
+    const records = read();
+    return records.last?.creator || records.first?.creator || null;
+  }
+
+  function cartAttributes() {
+    const { first, last } = current();
+    return {
+      [FIRST_TOUCH_ATTRIBUTE]: first ? JSON.stringify(first) : null,
+      [LAST_TOUCH_ATTRIBUTE]: last ? JSON.stringify(last) : null,
+    };
+  }
+
+  function cartToken() {
+    const match = document.cookie.match(/(?:^|;\s*)cart=([^;]+)/);
+    return match ? match[1] : null;
+  }
+
+  let syncTimer = null;
+
+  /**
+   * Copy the records onto the Shopify cart. Skipped until a cart exists
+   * (the cartUpdate subscription below catches the first add) and when
+   * this cart already has these records; a landing records several times
+   * in a row, so writes are batched.
+   */
+  function syncCart() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(writeCartAttributes, 100);
+  }
+
+  function writeCartAttributes() {
+    const token = cartToken();
+    const attributes = cartAttributes();
+    if (!token || !window.routes?.cart_update_url) return;
+    if (!attributes[FIRST_TOUCH_ATTRIBUTE] && !attributes[LAST_TOUCH_ATTRIBUTE]) return;
+
+    const signature = `${token}|${JSON.stringify(attributes)}`;
+    if (sessionStorage.getItem(SYNC_STORAGE_KEY) === signature) return;
+
+    fetch(`${window.routes.cart_update_url}.js`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ attributes }),
+    })
+      .then(response => {
+        if (response.ok) sessionStorage.setItem(SYNC_STORAGE_KEY, signature);
+      })
+      .catch(() => {});
+  }
+
+  capture();
+
+  // pubsub.js / constants.js globals, loaded before this file
+  if (typeof subscribe === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+    subscribe(PUB_SUB_EVENTS.cartUpdate, () => syncCart());
+  }
+
+  window.CBAttribution = {
+    FIRST_TOUCH_ATTRIBUTE,
+    LAST_TOUCH_ATTRIBUTE,
+    UTM_PARAMS,
+    configure,
+    touchFromLanding,
+    capture,
+    touchCreator,
+    current,
+    creator,
+    cartAttributes,
+    syncCart,
+  };
+})();
@@ -13,7 +13,588 @@
   const CONFIG = window.CB_CONFIG || {};
   const WORKER_URL = CONFIG.workerUrl || 'https://creatorbio-pricing.shopamorayou.workers.dev';
   const ANALYTICS_URL = CONFIG.analyticsUrl || 'https://creatorb.io/api';
-  const CART_STORAGE_KEY = 'cb_cart_v2';
+  const CART_STORAGE_PREFIX = 'cb_cart';
+  const LEGACY_CART_STORAGE_KEY = 'cb_cart_v2';
+  const QUOTE_STORAGE_KEY = 'cb_price_quote';
+  const DISCOUNT_STORAGE_KEY = 'cb_discount';
+  const WISHLIST_STORAGE_PREFIX = 'cb_wishlist';
+
+  // The worker's wishlist routes sit behind the app's Shopify App Proxy, which
+  // signs logged_in_customer_id onto every request - the customer is never
+  // taken from the URL or the request body
+  const WISHLIST_URL = `${window.Shopify?.routes?.root || '/'}apps/creatorbio/wishlist`;
+
+  // Shop bag snapshot: 'session' (sessionStorage), 'ttl' (localStorage for
+  // ttlDays) or 'persistent' (localStorage until checkout completes). Only
+  // 'ttl' reaches the Shopify cart: an expired snapshot takes the creator's
+  // lines off it too (removeExpiredLines). Otherwise the cart keeps its lines
+  // for as long as Shopify keeps the cart, and refreshCart() shows them.
+  const CART_PERSISTENCE = {
+    mode: ['session', 'ttl', 'persistent'].includes(CONFIG.cartPersistence?.mode) ? CONFIG.cartPersistence.mode : 'ttl',
+    ttl: (parseInt(CONFIG.cartPersistence?.ttlDays, 10) || 7) * 24 * 60 * 60 * 1000,
+  };
+
+  // Stored snapshot format. Each migration upgrades one version:
+  // v1 - bare item array, v2 - { currency, items }, v3 - adds creator and savedAt
+  const CART_SNAPSHOT_VERSION = 3;
+  const CART_MIGRATIONS = {
+    1: (items) => ({ version: 2, currency: currentCurrency(), items }),
+    2: (snapshot, creator) => ({
+      version: 3,
+      creator,
+      currency: snapshot.currency,
+      items: snapshot.items || [],
+      savedAt: Date.now(),
+    }),
+  };
+
+  function migrateCartSnapshot(data, creator) {
+    let snapshot = data;
+    let version = Array.isArray(data) ? 1 : data?.version || 2;
+
+    while (version < CART_SNAPSHOT_VERSION) {
+      snapshot = CART_MIGRATIONS[version](snapshot, creator);
+      version = snapshot.version;
+    }
+
+    return snapshot;
+  }
+
+  // Cart attribute carrying the signed price quote into Shopify checkout
+  const QUOTE_ATTRIBUTE = '_cb_price_quote';
+
+  // Cart attributes assets/cb-purchase-pixel.js reads to attribute the order
+  const CREATOR_ATTRIBUTE = '_cb_creator';
+  const CREATOR_ID_ATTRIBUTE = '_cb_creator_id';
+  const SESSION_ATTRIBUTE = '_cb_session';
+
+  // Written by the purchase pixel after checkout_completed: { orderId, creators, completedAt }
+  const PURCHASE_STORAGE_KEY = 'cb_purchase';
+  const PURCHASE_MARKER_TTL = 7 * 24 * 60 * 60 * 1000;
+
+  // Every creator page shares the one Shopify cart, so one channel for all tabs
+  const CART_SYNC_CHANNEL = 'cb_cart_sync';
+
+  // Theme sections re-rendered after every Ajax Cart API write
+  // (same ids the cart drawer requests in product-form.js)
+  const CART_SECTIONS = ['cart-drawer', 'cart-icon-bubble'];
+
+  // Cart upsells: recommendations are asked for the first few products in the
+  // bag (complementary first, then related) and the strip shows at most UPSELL_LIMIT
+  const UPSELL_SOURCE_LIMIT = 3;
+  const UPSELL_LIMIT = 6;
+  const UPSELL_INTENTS = ['complementary', 'related'];
+
+  // URL hash namespace for shop deep links (#shop/product/<handle>?size=M)
+  const SHOP_HASH_PREFIX = '#shop';
+
+  // data-action names that only move between views (legacy page-level names included)
+  const NAV_ACTIONS = {
+    'shop-back-to-grid': 'grid',
+    'shop-back-to-product': 'product',
+    'shop-show-details': 'details',
+    'shop-show-cart': 'cart',
+    'shop-show-wishlist': 'wishlist',
+    'checkout-back-to-cart': 'cart',
+    'back-to-browse': 'grid',
+    'back-to-product': 'product',
+    'show-details': 'details',
+    'show-cart': 'cart',
+  };
+
+  // Express checkout buttons with their own label (creator_shop.checkout.methods)
+  const EXPRESS_METHODS = ['apple', 'google', 'shop'];
+
+  // Postal code and province conventions, keyed by the country names that
+  // Liquid's country_option_tags uses as option values. `zip: null` means the
+  // country has no postal codes; labels are creator_shop.checkout keys.
+  const DEFAULT_ADDRESS_FORMAT = {
+    zip: 'postal_code',
+    zipPattern: null,
+    zipRequired: true,
+    province: 'province',
+  };
+
+  const ADDRESS_FORMATS = {
+    'United States': { zip: 'zip_code', zipPattern: /^\d{5}(-?\d{4})?$/, province: 'state' },
+    'Canada': { zipPattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i },
+    'United Kingdom': { zip: 'postcode', zipPattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i },
+    'Australia': { zip: 'postcode', zipPattern: /^\d{4}$/, province: 'state_territory' },
+    'New Zealand': { zip: 'postcode', zipPattern: /^\d{4}$/, province: 'region' },
+    'Ireland': { zip: 'eircode', zipPattern: /^[A-Z]\d[\dW] ?[\dA-Z]{4}$/i, zipRequired: false, province: 'county' },
+    'India': { zip: 'pin_code', zipPattern: /^\d{6}$/, province: 'state' },
+    'Japan': { zipPattern: /^\d{3}-?\d{4}$/, province: 'prefecture' },
+    'Brazil': { zipPattern: /^\d{5}-?\d{3}$/, province: 'state' },
+    'Mexico': { zipPattern: /^\d{5}$/, province: 'state' },
+    'Germany': { zipPattern: /^\d{5}$/ },
+    'France': { zipPattern: /^\d{5}$/ },
+    'Italy': { zipPattern: /^\d{5}$/ },
+    'Spain': { zipPattern: /^\d{5}$/ },
+    'Netherlands': { zipPattern: /^\d{4} ?[A-Z]{2}$/i },
+    'Hong Kong SAR': { zip: null, province: 'region' },
+    'United Arab Emirates': { zip: null, province: 'emirate' },
+  };
+
+  /**
+   * Translate a creator_shop locale key (window.cbStrings, rendered by
+   * snippets/cb-strings.liquid). [placeholders] are filled from `values`;
+   * pluralized keys pick their form from `values.count`.
+   */
+  function t(key, values = {}) {
+    let entry = key.split('.').reduce((node, part) => node?.[part], window.cbStrings);
+
+    if (entry && typeof entry === 'object') {
+      const locale = window.Shopify?.locale || document.documentElement.lang || 'en';
+      entry = entry[new Intl.PluralRules(locale).select(values.count ?? 0)] ?? entry.other;
+    }
+
+    if (typeof entry !== 'string') return key;
+    return entry.replace(/\[(\w+)\]/g, (match, name) => values[name] ?? match);
+  }
+
+  // For every product, shopper or URL value interpolated into template markup
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[char]);
+  }
+
+  // Prices are major units in the active (presentment) currency
+  function formatMoney(amount) {
+    return window.CBMoney ? CBMoney.format(amount) : Number(amount).toFixed(2);
+  }
+
+  function currentCurrency() {
+    return window.CBMoney ? CBMoney.activeCurrency() : '';
+  }
+
+  function expressMethodLabel(method) {
+    return t(`checkout.methods.${EXPRESS_METHODS.includes(method) ? method : 'express'}`);
+  }
+
+  // The checkout form's submit button: "Continue with <wallet>" on the express form
+  function submitLabel(isExpress, method) {
+    return isExpress
+      ? t('checkout.continue_with', { method: expressMethodLabel(method) })
+      : t('checkout.continue_to_payment');
+  }
+
+  // 'granted' or 'denied' once the visitor's analytics choice is known (cb-consent.js)
+  function analyticsConsent() {
+    return window.CBConsent ? CBConsent.whenReady() : Promise.resolve('denied');
+  }
+
+  /**
+   * Amount typed by a merchant in either convention: "1.000,00", "1,000.00",
+   * "1 000" and "80,5" all parse. The last separator is the decimal point
+   * unless it's the only kind and groups digits in threes ("1.000" is 1000).
+   * NaN when unreadable.
+   */
+  function parseAmount(value) {
+    const text = String(value ?? '').replace(/[\s']/g, '');
+    if (!/^\d[\d.,]*$/.test(text)) return NaN;
+
+    const last = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','));
+    if (last === -1) return Number(text);
+
+    const separator = text[last];
+    const other = separator === '.' ? ',' : '.';
+    if (!text.includes(other) && new RegExp(`^\\d{1,3}(\\${separator}\\d{3})+$`).test(text)) {
+      return Number(text.split(separator).join(''));
+    }
+
+    const whole = text.slice(0, last).split(other).join('');
+    return whole.includes(separator) ? NaN : Number(`${whole}.${text.slice(last + 1)}`);
+  }
+
+  /**
+   * Free-shipping threshold for the active market, in presentment currency.
+   * CB_CONFIG.freeShipping.markets overrides it per country or currency, one
+   * "CA: 100" / "EUR: 80" per line, amounts in that market's currency;
+   * otherwise the shop-currency threshold is converted at the market rate.
+   * Returns 0 when the meter is off.
+   */
+  function freeShippingThreshold() {
+    const settings = CONFIG.freeShipping || {};
+    const overrides = {};
+
+    String(settings.markets || '').split(/\r?\n/).forEach(line => {
+      const match = line.match(/^\s*([A-Za-z]{2,3})\s*[:=]\s*([\d.,\s']+?)\s*$/);
+      const amount = match ? parseAmount(match[2]) : NaN;
+      if (!Number.isNaN(amount)) overrides[match[1].toUpperCase()] = amount;
+    });
+
+    const override = overrides[String(settings.country || '').toUpperCase()] ?? overrides[currentCurrency()];
+    if (override != null) return override > 0 ? override : 0;
+
+    const threshold = parseFloat(settings.threshold) || 0;
+    if (threshold <= 0) return 0;
+    return window.CBMoney ? CBMoney.fromShopCurrency(threshold) : threshold;
+  }
+
+  // ============================================
+  // VIEW ROUTER
+  // ============================================
+
+  /**
+   * Single state machine behind every shop view.
+   * Each view declares the views it may move to, the view "back" falls to when
+   * there is no history, and optional enter/exit hooks. Buttons, swipe,
+   * keyboard and browser back all navigate through go()/back()/restore().
+   *
+   * onChange receives the history step of each transition: 1 (pushed),
+   * 0 (replaced), -n (unwound n entries) or null (driven by the browser URL).
+   */
+  class ViewRouter {
+    constructor(views, initial, onChange) {
+      this.views = views;
+      this.current = initial;
+      this.params = {};
+      this.history = [];
+      this.onChange = onChange;
+    }
+
+    canGo(view) {
+      if (!this.views[view]) return false;
+      return view === this.current || this.views[this.current].transitions.includes(view);
+    }
+
+    go(view, params = {}) {
+      if (!this.canGo(view)) {
+        console.warn(`View transition not allowed: ${this.current} -> ${view}`);
+        return false;
+      }
+
+      this.transition(view, params, this.moveStack(view));
+      return true;
+    }
+
+    back() {
+      const previous = this.history.pop();
+      if (previous) {
+        this.transition(previous.view, previous.params, -1);
+        return true;
+      }
+
+      const parent = this.views[this.current].parent;
+      if (!parent) return false;
+
+      this.transition(parent, {}, 0);
+      return true;
+    }
+
+    /**
+     * Jump to a view the browser asked for (popstate or initial URL), skipping
+     * the transition rules since the shopper may arrive from anywhere
+     */
+    restore(view, params = {}) {
+      if (!this.views[view]) view = this.views[this.current] ? this.current : Object.keys(this.views)[0];
+
+      this.moveStack(view);
+      this.transition(view, params, null);
+    }
+
+    moveStack(view) {
+      // Going to a view already on the stack unwinds to it instead of stacking a loop
+      const stackIndex = this.history.findIndex(entry => entry.view === view);
+      if (stackIndex > -1) {
+        const unwound = this.history.length - stackIndex;
+        this.history.length = stackIndex;
+        return -unwound;
+      }
+
+      if (view === this.current) return 0;
+
+      this.history.push({ view: this.current, params: this.params });
+      return 1;
+    }
+
+    transition(view, params, step) {
+      const from = this.current;
+      if (from !== view) this.views[from].exit?.(view);
+
+      this.current = view;
+      this.params = params;
+
+      this.onChange(view, from, params, step);
+      this.views[view].enter?.(params, from);
+    }
+  }
+
+  // ============================================
+  // CHECKOUT SERVICE
+  // ============================================
+
+  const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+  const ADDRESS_PARAMS = {
+    firstName: 'first_name',
+    lastName: 'last_name',
+    phone: 'phone',
+    address1: 'address1',
+    address2: 'address2',
+    city: 'city',
+    zip: 'zip',
+    province: 'province',
+    country: 'country',
+  };
+
+  /**
+   * Builds every checkout hand-off from the creator shop. The lines are
+   * already on the Shopify cart (the shop writes through the Ajax Cart API),
+   * with their `_creator` properties and the cart note, so they're left
+   * alone: the hand-off attributes go onto the cart through /cart/update.js
+   * and /checkout gets the customer prefill, creator ref, UTM parameters and
+   * discount codes. start() never throws - it resolves with { ok: true, url }
+   * or { ok: false, error: { code, message } }.
+   */
+  class CheckoutService {
+    constructor({ cartRequest } = {}) {
+      this.cartRequest = cartRequest;
+    }
+
+    /**
+     * UTM parameters on this URL, else the campaign of the last recorded touch
+     */
+    utmParams(search = window.location.search) {
+      const current = new URLSearchParams(search);
+      const fromUrl = Object.fromEntries(UTM_PARAMS.filter(key => current.get(key)).map(key => [key, current.get(key)]));
+      if (Object.keys(fromUrl).length) return fromUrl;
+
+      const lastTouch = window.CBAttribution?.current().last || {};
+      return Object.fromEntries(UTM_PARAMS.filter(key => lastTouch[key]).map(key => [key, lastTouch[key]]));
+    }
+
+    buildParams({ customer = {}, creator, utm = {}, discountCodes = [] }) {
+      const params = new URLSearchParams();
+
+      if (customer.email) params.set('checkout[email]', customer.email);
+      Object.entries(ADDRESS_PARAMS).forEach(([field, param]) => {
+        if (customer[field]) params.set(`checkout[shipping_address][${param}]`, customer[field]);
+      });
+
+      if (creator) params.set('ref', creator);
+      Object.entries(utm).forEach(([key, value]) => params.set(key, value));
+
+      // Shopify applies every comma-separated code that combines
+      const codes = [...new Set(discountCodes.filter(Boolean))];
+      if (codes.length > 0) params.set('discount', codes.join(','));
+
+      return params;
+    }
+
+    async start({ lines = [], customer, creator, utm = this.utmParams(), discountCodes, attributes = {} } = {}) {
+      if (!lines.some(line => line.variantId && line.quantity > 0)) {
+        return { ok: false, error: { code: 'empty_cart', message: t('checkout.errors.empty_cart') } };
+      }
+
+      // Empty values would remove attributes someone else set on the cart
+      const cartAttributes = Object.fromEntries(Object.entries(attributes).filter(([, value]) => value != null && value !== ''));
+
+      try {
+        await this.cartRequest(`${routes.cart_update_url}.js`, { attributes: cartAttributes });
+      } catch (error) {
+        return { ok: false, error: { code: 'cart_sync_failed', message: error.message || t('checkout.errors.handoff') } };
+      }
+
+      const params = this.buildParams({ customer, creator, utm, discountCodes });
+      return { ok: true, url: `${window.Shopify?.routes?.root || '/'}checkout?${params.toString()}` };
+    }
+  }
+
+  // ============================================
+  // ANALYTICS QUEUE
+  // ============================================
+
+  const ANALYTICS_QUEUE_KEY = 'cb_analytics_queue';
+  const ANALYTICS_BATCH_SIZE = 20;
+  const ANALYTICS_FLUSH_INTERVAL = 5000;
+  const ANALYTICS_MAX_RETRY_DELAY = 5 * 60 * 1000;
+  const ANALYTICS_MAX_QUEUE = 500;
+  const ANALYTICS_EVENT_TTL = 24 * 60 * 60 * 1000;
+
+  /**
+   * Batches trackEvent calls into { events: [...] } POSTs to /track: a batch
+   * goes out once ANALYTICS_BATCH_SIZE events are waiting or every
+   * ANALYTICS_FLUSH_INTERVAL, and a failed batch goes back on the queue to
+   * retry with exponential backoff.
+   *
+   * Unsent events live in localStorage, so they survive reloads and are sent
+   * by whichever creator page loads next. Each flush takes its batch out of
+   * storage first, so tabs sharing the queue never send an event twice.
+   * When the page is hidden or unloads, what's left goes out at once through
+   * navigator.sendBeacon as JSON, which outlives the page (a tap on an
+   * outbound link, a closed tab); a batch the browser won't queue as a
+   * beacon goes out as a keepalive fetch instead.
+   */
+  class AnalyticsQueue {
+    constructor({
+      url,
+      storage = window.localStorage,
+      fetch = window.fetch.bind(window),
+      sendBeacon = navigator.sendBeacon?.bind(navigator),
+    } = {}) {
+      this.url = url;
+      this.storage = storage;
+      this.fetch = fetch;
+      this.sendBeacon = sendBeacon;
+      this.memory = [];
+      this.failures = 0;
+      this.retryAt = 0;
+      this.timer = null;
+      this.sending = false;
+    }
+
+    /**
+     * Flush events left over from earlier pages and flush on the way out
+     */
+    start() {
+      const flushOnExit = () => this.flushOnExit();
+
+      window.addEventListener('pagehide', flushOnExit);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushOnExit();
+        // Coming back doesn't cut a pending retry short
+        else this.schedule(Math.max(0, this.retryAt - Date.now()));
+      });
+
+      this.schedule(0);
+    }
+
+    read() {
+      try {
+        const events = JSON.parse(this.storage.getItem(ANALYTICS_QUEUE_KEY) || '[]');
+        return Array.isArray(events) ? events : [];
+      } catch {
+        return this.memory;
+      }
+    }
+
+    write(events) {
+      // Oldest events go first when the queue is full; stale ones aren't worth sending
+      const cutoff = Date.now() - ANALYTICS_EVENT_TTL;
+      const kept = events.filter(entry => entry.queuedAt > cutoff).slice(-ANALYTICS_MAX_QUEUE);
+
+      this.memory = kept;
+      try {
+        if (kept.length) this.storage.setItem(ANALYTICS_QUEUE_KEY, JSON.stringify(kept));
+        else this.storage.removeItem(ANALYTICS_QUEUE_KEY);
+      } catch {
+        // Storage unavailable (private mode) - the queue lives for this page only
+      }
+    }
+
+    push(event) {
+      const events = this.read();
+      events.push({ event, queuedAt: Date.now() });
+      this.write(events);
+
+      if (events.length >= ANALYTICS_BATCH_SIZE && !this.failures) this.schedule(0);
+      else if (!this.timer) this.schedule(ANALYTICS_FLUSH_INTERVAL);
+    }
+
+    schedule(delay) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, delay);
+    }
+
+    take(count) {
+      const events = this.read();
+      this.write(events.slice(count));
+      return events.slice(0, count);
+    }
+
+    putBack(batch) {
+      this.write([...batch, ...this.read()]);
+    }
+
+    body(batch) {
+      return JSON.stringify({ events: batch.map(entry => entry.event) });
+    }
+
+    /**
+     * POST one batch; resolves true when it should be retried
+     */
+    async send(batch) {
+      try {
+        const response = await this.fetch(this.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: this.body(batch),
+          keepalive: true,
+        });
+
+        // A rejected payload won't get better on retry; throttling and server errors will
+        return !response.ok && (response.status >= 500 || response.status === 408 || response.status === 429);
+      } catch {
+        return true;
+      }
+    }
+
+    async flush() {
+      if (this.sending) return;
+
+      const batch = this.take(ANALYTICS_BATCH_SIZE);
+      if (!batch.length) return;
+
+      this.sending = true;
+      const retry = await this.send(batch);
+      this.sending = false;
+
+      if (retry) {
+        this.putBack(batch);
+        this.failures += 1;
+        const backoff = Math.min(ANALYTICS_MAX_RETRY_DELAY, ANALYTICS_FLUSH_INTERVAL * 2 ** this.failures);
+        const delay = backoff / 2 + Math.random() * backoff / 2;
+        this.retryAt = Date.now() + delay;
+        this.schedule(delay);
+        return;
+      }
+
+      this.failures = 0;
+      this.retryAt = 0;
+      if (this.read().length) this.schedule(0);
+    }
+
+    /**
+     * Queue one batch as a beacon; false when the browser refuses it (no
+     * sendBeacon, or its in-flight quota is used up)
+     */
+    beacon(batch) {
+      if (!this.sendBeacon) return false;
+
+      try {
+        return this.sendBeacon(this.url, new Blob([this.body(batch)], { type: 'application/json' }));
+      } catch {
+        return false;
+      }
+    }
+
+    /**
+     * Send everything queued without waiting for the flush timer. Beacons
+     * and keepalive requests finish after the page is gone; a fetched batch
+     * that fails while the page is still around (only hidden) goes back on
+     * the queue.
+     */
+    flushOnExit() {
+      clearTimeout(this.timer);
+      this.timer = null;
+
+      let batch = this.take(ANALYTICS_BATCH_SIZE);
+      while (batch.length) {
+        const sent = batch;
+        if (!this.beacon(sent)) {
+          this.send(sent).then(retry => {
+            if (retry) this.putBack(sent);
+          });
+        }
+        batch = this.take(ANALYTICS_BATCH_SIZE);
+      }
+    }
+  }
 
   // ============================================
   // MAIN CONTROLLER CLASS
@@ -24,12 +605,20 @@
       this.page = document.querySelector('.cb-commerce-page');
       if (!this.page) return;
 
-      this.currentView = 'browse';
-      this.selectedProduct = null;
-      this.selectedSize = null;
-      this.cart = this.loadCart();
       this.creator = this.page.dataset.creator || CONFIG.creator || '';
       this.userId = this.page.dataset.userId || CONFIG.userId || '';
+      this.selectedProduct = null;
+      this.selectedOptions = [];
+      this.cart = this.loadCart();
+      this.priceQuote = this.loadPriceQuote();
+      // Cleared once a quote for this cart is refused or fails (see shopPrice)
+      this.creatorPricesHeld = true;
+      this.discount = this.loadDiscount();
+      this.oneTapAdd = CONFIG.addToBagMode === 'one_tap';
+      this.checkout = new CheckoutService({ cartRequest: (url, payload) => this.cartRequest(url, payload) });
+      this.analytics = new AnalyticsQueue({ url: `${ANALYTICS_URL}/track` });
+      this.recommendations = new Map();
+      this.upsellImpressions = new Set();
 
       this.init();
     }
@@ -52,6 +641,15 @@
       this.applyDynamicPricing();
       this.initShopSection();
       this.initLinksCarousel();
+
+      // ?code= links queue a discount that is validated once the cart loads
+      this.initDiscountFromUrl();
+
+      // Follow cart writes made in other tabs
+      this.initCartSync();
+
+      // Hydrate from the real Shopify cart (localStorage is only a render cache)
+      this.refreshCart();
     }
 
     // Links carousel navigation
@@ -76,21 +674,48 @@
       }
     }
 
+    /**
+     * The purchase pixel's marker, when its order included this creator.
+     * Markers for other creators stay for their pages; expired ones are dropped.
+     */
+    takePurchaseMarker() {
+      let marker = null;
+      try {
+        marker = JSON.parse(localStorage.getItem(PURCHASE_STORAGE_KEY) || 'null');
+      } catch {
+        marker = null;
+      }
+      if (!marker) return null;
+
+      if (Date.now() - (marker.completedAt || 0) > PURCHASE_MARKER_TTL) {
+        localStorage.removeItem(PURCHASE_STORAGE_KEY);
+        return null;
+      }
+
+      if (!this.creator || !(marker.creators || []).includes(this.creator)) return null;
+
+      localStorage.removeItem(PURCHASE_STORAGE_KEY);
+      return marker;
+    }
+
     clearSessionData() {
-      // Check if we're on a thank you page (order completed)
-      const isThankYouPage = window.location.pathname.includes('/thank_you') ||
-                             window.location.pathname.includes('/orders/') ||
-                             document.querySelector('.os-step__title');
+      // Order completed - reported by the checkout_completed pixel (assets/cb-purchase-pixel.js)
+      const purchase = this.takePurchaseMarker();
 
       // Check if checkout was initiated (user went to Shopify checkout)
       const checkoutInitiated = sessionStorage.getItem('cb_checkout_initiated');
 
-      if (isThankYouPage) {
+      // The Shopify cart is the source of truth; these branches only manage the
+      // local snapshot, which refreshCart() replaces once /cart.js responds
+      if (purchase) {
         // Order completed - clear everything
         this.cart = [];
-        localStorage.removeItem(CART_STORAGE_KEY);
+        this.clearCartSnapshot();
         sessionStorage.removeItem('cb_checkout_initiated');
-        console.log('Order completed - cart cleared');
+        this.clearPriceQuote();
+        this.discount = null;
+        sessionStorage.removeItem(DISCOUNT_STORAGE_KEY);
+        console.log(`Order ${purchase.orderId} completed - cart cleared`);
       } else if (checkoutInitiated) {
         // User returned from Shopify checkout (failed/cancelled) - keep cart for retry
         this.cart = this.loadCart();
@@ -98,19 +723,17 @@
         sessionStorage.removeItem('cb_checkout_initiated');
         console.log('Returned from checkout - cart preserved');
       } else {
-        // Normal page load/refresh - fresh cart
-        this.cart = [];
-        localStorage.removeItem(CART_STORAGE_KEY);
-        console.log('Fresh session - cart cleared');
+        // Normal page load - keep whatever the persistence policy allows
+        this.cart = this.loadCart();
+        this.returningCart = this.isNewVisit() ? this.cart.slice() : [];
       }
 
       // Clear customer info (don't persist sensitive data)
       this.customerInfo = null;
 
-      // Clear pricing data to force re-fetch (dynamic pricing)
-      sessionStorage.removeItem('pricing_delta');
-      sessionStorage.removeItem('creator_products');
-      sessionStorage.removeItem('creator_ref');
+      // Start (or extend) the creator session the rest of the storefront reads;
+      // its pricing state is refreshed by applyDynamicPricing()
+      window.CBCreatorSession?.start(this.creator, { url: CONFIG.pageUrl });
     }
 
     // ============================================
@@ -121,8 +744,8 @@
       this.shopSection = this.page.querySelector('.cb-shop');
       if (!this.shopSection) return;
 
-      this.shopView = 'grid';
-      this.shopSelectedProduct = null;
+      this.router = this.createShopRouter();
+      this.indexShopVariants();
 
       // Bind shop-specific events
       this.shopSection.addEventListener('click', (e) => {
@@ -131,6 +754,11 @@
 
         const actionName = action.dataset.action;
 
+        if (NAV_ACTIONS[actionName]) {
+          this.router.go(NAV_ACTIONS[actionName]);
+          return;
+        }
+
         switch (actionName) {
           case 'shop-select-product':
             this.handleShopProductSelect(e);
@@ -139,26 +767,51 @@
             e.stopPropagation();
             this.handleShopProductSelect(e);
             break;
-          case 'shop-back-to-grid':
-            this.setShopView('grid');
+          case 'shop-back':
+            this.router.back();
+            break;
+          case 'shop-add-to-bag':
+            this.handleShopAddToBag(action);
             break;
-          case 'shop-back-to-product':
-            this.setShopView('product');
+          case 'shop-apply-discount':
+            e.preventDefault();
+            this.applyDiscountCode(action.closest('[data-shop-discount]')?.querySelector('input')?.value);
             break;
-          case 'shop-show-details':
-            this.setShopView('details');
+          case 'shop-remove-discount':
+            e.preventDefault();
+            this.removeDiscount();
             break;
-          case 'shop-show-cart':
-            // If checkout form is open, go back to cart properly
-            const checkoutForm = this.shopSection?.querySelector('.cb-shop__checkout-form');
-            if (checkoutForm) {
-              this.backToCart();
-            } else {
-              this.setShopView('cart');
-            }
+          case 'shop-toggle-wishlist':
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleWishlist(action.dataset.productHandle || this.selectedProduct?.handle);
+            break;
+          case 'shop-move-to-wishlist':
+            this.moveCartLineToWishlist(parseInt(action.dataset.index, 10));
+            break;
+          case 'shop-move-to-cart':
+            this.moveWishlistItemToCart(action.dataset.handle);
+            break;
+          case 'shop-share-wishlist':
+            this.shareWishlist();
+            break;
+          case 'shop-save-shared-wishlist':
+            this.saveSharedWishlist();
+            break;
+          case 'shop-upsell-add':
+            this.addUpsell(action.dataset.productHandle, action);
+            break;
+          case 'shop-upsell-pick':
+            this.pickUpsellVariant(action.dataset.variantId, action);
+            break;
+          case 'shop-close-upsell-sheet':
+            this.closeUpsellSheet();
             break;
-          case 'checkout-back-to-cart':
-            this.backToCart();
+          case 'shop-restore-cart':
+            this.restoreCart();
+            break;
+          case 'shop-dismiss-welcome':
+            this.hideWelcomeBack();
             break;
           case 'express-checkout':
             e.preventDefault();
@@ -166,7 +819,6 @@
             this.handleExpressCheckout(action.dataset.method);
             break;
           case 'checkout':
-            console.log('Checkout button clicked');
             e.preventDefault();
             e.stopPropagation();
             this.handleShopCheckout();
@@ -174,8 +826,20 @@
         }
       });
 
-      // Keyboard accessibility - Enter key on product cards
+      // Keyboard accessibility - Enter key on product cards, Escape to go back
       this.shopSection.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this.upsellProduct) {
+          e.preventDefault();
+          this.closeUpsellSheet();
+          return;
+        }
+
+        if (e.key === 'Escape' && this.router.current !== 'grid') {
+          e.preventDefault();
+          this.router.back();
+          return;
+        }
+
         if (e.key === 'Enter' || e.key === ' ') {
           const product = e.target.closest('.cb-shop__product[data-action="shop-select-product"]');
           if (product && !product.classList.contains('cb-shop__product--sold-out')) {
@@ -183,10 +847,10 @@
             this.handleShopProductSelect({ target: product });
           }
 
-          // Also handle size buttons with keyboard
-          if (e.target.classList.contains('cb-shop__size-btn') && !e.target.classList.contains('sold-out')) {
+          // Also handle option buttons with keyboard
+          if (e.target.matches('[data-option-index]') && !e.target.disabled) {
             e.preventDefault();
-            this.handleShopSizeSelect(e.target);
+            this.handleShopOptionSelect(e.target);
           }
         }
       });
@@ -201,13 +865,28 @@
         });
       });
 
-      // Shop size buttons
+      // Shop option buttons (size, color, ...)
       this.shopSection.addEventListener('click', (e) => {
-        if (e.target.classList.contains('cb-shop__size-btn') && !e.target.classList.contains('sold-out')) {
-          this.handleShopSizeSelect(e.target);
+        const optionBtn = e.target.closest('[data-option-index]');
+        if (optionBtn && !optionBtn.disabled) {
+          this.handleShopOptionSelect(optionBtn);
+        }
+      });
+
+      // Enter in the discount field applies the code (without submitting the checkout form)
+      this.shopSection.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('[data-shop-discount] input')) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.applyDiscountCode(e.target.value);
         }
       });
 
+      // quantity-input dispatches change for its +/- buttons too
+      this.shopSection.addEventListener('change', (e) => {
+        if (e.target.matches('[data-shop-quantity]')) this.updatePurchaseControls();
+      });
+
       // Bottom tabs
       const bottomTabs = this.page.querySelectorAll('.cb-shop__bottom-tab');
       bottomTabs.forEach(tab => {
@@ -224,6 +903,15 @@
 
       // Swipe to go back gesture
       this.initSwipeGestures();
+
+      // Reflect views in the URL and open deep links
+      this.initShopHistory();
+
+      // Hide Apple Pay / Google Pay buttons this browser can't show
+      this.initWallets();
+
+      // Saved items (synced for logged-in customers)
+      this.initWishlist();
     }
 
     initSwipeGestures() {
@@ -275,35 +963,211 @@
 
     handleSwipeBack() {
       // Only handle swipe back when not on grid view
-      if (this.shopView === 'grid') return;
+      if (this.router.current === 'grid') return;
 
-      // Check if checkout form is open
-      const checkoutForm = this.shopSection?.querySelector('.cb-shop__checkout-form');
-      if (checkoutForm) {
-        this.backToCart();
-        return;
+      this.router.back();
+    }
+
+    createShopRouter() {
+      return new ViewRouter({
+        grid: {
+          transitions: ['product', 'cart', 'wishlist'],
+        },
+        product: {
+          parent: 'grid',
+          transitions: ['grid', 'details', 'cart', 'wishlist'],
+        },
+        details: {
+          parent: 'product',
+          transitions: ['grid', 'product', 'cart', 'wishlist'],
+        },
+        wishlist: {
+          parent: 'grid',
+          transitions: ['grid', 'product', 'cart'],
+          enter: ({ items }) => this.renderWishlist(items),
+        },
+        cart: {
+          parent: 'grid',
+          transitions: ['grid', 'product', 'checkout', 'wishlist'],
+          enter: () => {
+            this.renderShopCart();
+            this.ensurePriceQuote();
+          },
+        },
+        checkout: {
+          parent: 'cart',
+          transitions: ['grid', 'cart'],
+          enter: ({ express, method }) => {
+            this.showCheckoutForm(express, method);
+            this.ensurePriceQuote();
+          },
+          exit: () => this.hideCheckoutForm(),
+        },
+      }, 'grid', (view, from, params, step) => {
+        this.renderShopView(view, from);
+        this.syncShopUrl(view, params, step);
+        this.trackEvent('view_change', { view });
+      });
+    }
+
+    // ============================================
+    // DEEP LINKS & BROWSER HISTORY
+    // ============================================
+
+    /**
+     * Shop state <-> URL:
+     *   #shop                          grid
+     *   #shop/product/<handle>?variant=<id>  product view
+     *   #shop/details/<handle>         details view
+     *   #shop/cart                     cart (checkout restores to the cart)
+     *   #shop/wishlist                 saved items
+     *   #shop/wishlist?items=<list>    a shared wishlist (see shareWishlist)
+     * A shared ?product=<handle>&variant=<id> query opens the product on load.
+     * The older ?size=M form still resolves against the size option.
+     */
+    initShopHistory() {
+      window.addEventListener('popstate', (e) => {
+        if (this.ignoreNextPop) {
+          this.ignoreNextPop = false;
+          return;
+        }
+
+        // Leave foreign hash changes (in-page anchors) alone
+        const target = e.state?.cbShop || this.parseShopLocation();
+        if (!target) return;
+
+        this.restoreShopState(target.view, target.params || {});
+      });
+
+      const initial = this.parseShopLocation();
+      if (initial) this.restoreShopState(initial.view, initial.params);
+
+      window.history.replaceState(
+        { ...window.history.state, cbShop: { view: this.router.current, params: this.router.params, depth: 0 } },
+        '',
+        initial ? this.shopStateToHash(this.router.current, this.router.params) : undefined
+      );
+    }
+
+    parseShopLocation() {
+      const hash = window.location.hash;
+
+      if (hash === SHOP_HASH_PREFIX || hash.startsWith(`${SHOP_HASH_PREFIX}/`)) {
+        const [path, query = ''] = hash.slice(1).split('?');
+        const [, view = 'grid', handle] = path.split('/');
+        return {
+          view,
+          params: {
+            handle: handle ? decodeURIComponent(handle) : null,
+            variant: new URLSearchParams(query).get('variant'),
+            size: new URLSearchParams(query).get('size'),
+            items: new URLSearchParams(query).get('items'),
+          },
+        };
       }
 
-      // Navigate back based on current view
-      switch (this.shopView) {
-        case 'product':
-          this.setShopView('grid');
-          break;
-        case 'details':
-          this.setShopView('product');
-          break;
-        case 'cart':
-          this.setShopView('grid');
-          break;
+      const search = new URLSearchParams(window.location.search);
+      if (search.get('product')) {
+        return {
+          view: 'product',
+          params: { handle: search.get('product'), variant: search.get('variant'), size: search.get('size') },
+        };
+      }
+
+      return null;
+    }
+
+    shopStateToHash(view, params = {}) {
+      if (view === 'grid') return SHOP_HASH_PREFIX;
+      if (view === 'checkout') return `${SHOP_HASH_PREFIX}/cart`;
+
+      let hash = `${SHOP_HASH_PREFIX}/${view}`;
+      const handle = params.handle || this.selectedProduct?.handle;
+
+      if ((view === 'product' || view === 'details') && handle) {
+        hash += `/${encodeURIComponent(handle)}`;
+        if (params.variant) hash += `?variant=${encodeURIComponent(params.variant)}`;
+      }
+
+      if (view === 'wishlist' && params.items) hash += `?items=${encodeURIComponent(params.items)}`;
+
+      return hash;
+    }
+
+    restoreShopState(view, params = {}) {
+      if (view === 'checkout') view = 'cart';
+
+      if (view === 'product' || view === 'details') {
+        if (!this.selectProductByHandle(params.handle, params)) view = 'grid';
+      }
+
+      this.router.restore(view, params);
+    }
+
+    syncShopUrl(view, params, step) {
+      // Transition came from the URL itself
+      if (step === null) return;
+
+      const depth = window.history.state?.cbShop?.depth || 0;
+      const hash = this.shopStateToHash(view, params);
+
+      if (step > 0) {
+        window.history.pushState({ cbShop: { view, params, depth: depth + 1 } }, '', hash);
+      } else if (step < 0 && depth >= -step) {
+        // Unwind the entries we pushed so browser back/forward stay in step
+        this.ignoreNextPop = true;
+        window.history.go(step);
+      } else {
+        window.history.replaceState({ cbShop: { view, params, depth } }, '', hash);
       }
     }
 
-    setShopView(view) {
+    /**
+     * Merge params into the current view's state without adding a history entry
+     */
+    updateShopParams(patch) {
+      Object.assign(this.router.params, patch);
+      this.syncShopUrl(this.router.current, this.router.params, 0);
+    }
+
+    selectProductByHandle(handle, { variant = null, size = null } = {}) {
+      if (!handle || !this.shopSection) return false;
+
+      if (this.selectedProduct?.handle !== handle) {
+        const productEl = this.shopSection.querySelector(`.cb-shop__product[data-product-handle="${CSS.escape(handle)}"]`);
+        const dataScript = productEl?.querySelector('.cb-shop__product-data');
+        if (!dataScript) return false;
+
+        try {
+          this.selectedProduct = JSON.parse(dataScript.textContent);
+        } catch (err) {
+          console.error('Failed to parse product data:', err);
+          return false;
+        }
+
+        this.renderShopProductView();
+      }
+
+      const selected = this.selectedProduct.variants?.find(v => String(v.id) === String(variant));
+      if (selected) {
+        this.selectVariant(selected);
+      } else if (size) {
+        // Legacy ?size= links: match the size option, falling back to the first option
+        const options = this.selectedProduct.options || [];
+        const sizeIndex = options.findIndex(option => /size/i.test(option.name));
+        this.selectOption(Math.max(0, sizeIndex), size);
+      }
+      return true;
+    }
+
+    renderShopView(view, previousView) {
       if (!this.shopSection) return;
 
-      const previousView = this.shopView;
-      this.shopView = view;
       this.shopSection.dataset.shopView = view;
+      if (view !== 'cart') this.closeUpsellSheet();
+
+      // Checkout is drawn inside the cart content area
+      const content = view === 'checkout' ? 'cart' : view;
 
       // Toggle details height
       if (view === 'details') {
@@ -319,9 +1183,9 @@
       });
 
       // Show the active content with fade in animation
-      const activeContent = this.shopSection.querySelector(`[data-shop-content="${view}"]`);
+      const activeContent = this.shopSection.querySelector(`[data-shop-content="${content}"]`);
       if (activeContent) {
-        activeContent.style.display = view === 'grid' ? 'flex' : (view === 'cart' ? 'block' : 'flex');
+        activeContent.style.display = ['cart', 'wishlist'].includes(content) ? 'block' : 'flex';
         // Trigger animation
         requestAnimationFrame(() => {
           activeContent.classList.add('cb-shop--view-enter');
@@ -338,12 +1202,13 @@
       const headerProduct = this.shopSection.querySelector('[data-shop-header-product]');
       const headerDetails = this.shopSection.querySelector('[data-shop-header-details]');
       const headerCart = this.shopSection.querySelector('[data-shop-header-cart]');
+      const headerWishlist = this.shopSection.querySelector('[data-shop-header-wishlist]');
       const cartTitle = this.shopSection.querySelector('[data-shop-cart-title]');
       const detailsLink = this.shopSection.querySelector('[data-action="shop-show-details"]');
       const categories = this.shopSection.querySelector('[data-shop-categories]');
 
       // Hide all headers first
-      [headerGrid, headerProduct, headerDetails, headerCart].forEach(el => {
+      [headerGrid, headerProduct, headerDetails, headerCart, headerWishlist].forEach(el => {
         if (el) el.style.display = 'none';
       });
       if (cartTitle) cartTitle.style.display = 'none';
@@ -363,28 +1228,37 @@
         case 'details':
           if (headerDetails) headerDetails.style.display = 'block';
           break;
+        case 'wishlist':
+          if (headerWishlist) headerWishlist.style.display = 'block';
+          if (cartTitle) {
+            cartTitle.textContent = t('wishlist.title');
+            cartTitle.style.display = 'block';
+          }
+          break;
         case 'cart':
+          if (cartTitle) cartTitle.textContent = t('cart.title');
+          // falls through
+        case 'checkout':
           if (headerCart) headerCart.style.display = 'block';
           if (cartTitle) cartTitle.style.display = 'block';
-          this.renderShopCart();
           break;
       }
     }
 
     handleShopProductSelect(e) {
-      const productEl = e.target.closest('.cb-shop__product');
+      const productEl = e.target.closest('.cb-shop__product, .cb-product-card');
       if (!productEl) return;
 
-      const dataScript = productEl.querySelector('.cb-shop__product-data');
+      const dataScript = productEl.querySelector('.cb-shop__product-data, .cb-product-data');
       if (!dataScript) return;
 
       try {
         const productData = JSON.parse(dataScript.textContent);
-        this.shopSelectedProduct = productData;
+        this.selectedProduct = productData;
 
         // Render product view
         this.renderShopProductView();
-        this.setShopView('product');
+        this.router.go('product', { handle: productData.handle });
 
         // Track
         this.trackEvent('product_click', { product_id: productData.id });
@@ -394,9 +1268,10 @@
     }
 
     renderShopProductView() {
-      if (!this.shopSelectedProduct) return;
+      if (!this.selectedProduct) return;
 
-      const product = this.shopSelectedProduct;
+      const product = this.selectedProduct;
+      this.updateWishlistButtons();
 
       // Render carousel images
       const carousel = this.shopSection.querySelector('[data-shop-carousel]');
@@ -405,7 +1280,7 @@
       if (carousel && product.images?.length > 0) {
         carousel.innerHTML = product.images.map((img, i) => `
           <div class="cb-shop__carousel-slide" data-slide-index="${i}">
-            <img src="${img}" alt="${product.title}" loading="lazy" data-action="open-lightbox" data-img-src="${img}">
+            <img src="${escapeHtml(img)}" alt="${escapeHtml(product.title)}" loading="lazy" data-action="open-lightbox" data-img-src="${escapeHtml(img)}">
           </div>
         `).join('');
 
@@ -432,30 +1307,14 @@
       const titleEl = this.shopSection.querySelector('[data-shop-product-title]');
       const priceEl = this.shopSection.querySelector('[data-shop-product-price]');
       if (titleEl) titleEl.textContent = product.title;
-      if (priceEl) priceEl.textContent = `$${product.price.toFixed(2)}`;
-
-      // Render sizes
-      const sizesContainer = this.shopSection.querySelector('[data-shop-sizes]');
-      if (sizesContainer) {
-        const variants = product.variants || [];
-        const sizes = [...new Set(variants.map(v => v.option1).filter(Boolean))];
+      if (priceEl) priceEl.textContent = formatMoney(product.price);
 
-        if (sizes.length === 0) {
-          sizesContainer.innerHTML = '<span style="font-size: 11px; color: #8B7D6B;">One size</span>';
-          this.shopSelectedSize = 'One Size';
-        } else {
-          sizesContainer.innerHTML = sizes.map(size => {
-            const variant = variants.find(v => v.option1 === size);
-            const available = variant?.available !== false;
-            return `<button class="cb-shop__size-btn${!available ? ' sold-out' : ''}" data-size="${size}" ${!available ? 'disabled' : ''}>${size}</button>`;
-          }).join('');
-          this.shopSelectedSize = null;
-        }
-      }
+      // Render one button group per option (color, size, material...)
+      this.renderShopOptions();
 
       // Update details view
       const descEl = this.shopSection.querySelector('[data-shop-description]');
-      if (descEl) descEl.textContent = product.description || 'A beautiful premium product crafted with care and attention to detail.';
+      if (descEl) descEl.textContent = product.description || t('product.default_description');
     }
 
     initShopCarousel(carousel, dotsContainer) {
@@ -486,54 +1345,311 @@
       });
     }
 
-    handleShopSizeSelect(btn) {
-      const size = btn.dataset.size;
+    // ============================================
+    // VARIANT OPTIONS
+    // ============================================
 
-      // Add to cart immediately when size selected
-      if (this.shopSelectedProduct && size) {
-        const product = this.shopSelectedProduct;
-        const variant = product.variants?.find(v => v.option1 === size) || product.variants?.[0];
+    /**
+     * Option values are judged against the selections made in the groups
+     * before them (color before size), so an earlier choice never locks the
+     * shopper out of a later one. Changing an earlier option drops later
+     * selections the new combination can't satisfy.
+     */
+    renderShopOptions() {
+      const container = this.shopSection.querySelector('[data-shop-sizes]');
+      if (!container) return;
 
-        const cartItem = {
-          id: product.id,
-          variantId: variant?.id || product.id,
-          handle: product.handle,
-          title: product.title,
-          price: product.price,
-          size: size,
-          image: product.images?.[0] || '',
-          quantity: 1,
-          creator: this.creator,
-        };
+      const product = this.selectedProduct;
+      const variants = product.variants || [];
+      const options = product.options || [];
+
+      this.selectedOptions = [];
+
+      // New product - start the quantity over at its minimum
+      const quantityInput = this.shopSection.querySelector('[data-shop-quantity]');
+      if (quantityInput) quantityInput.value = '';
+
+      if (product.has_only_default_variant || options.length === 0) {
+        // One preselected "One size" button - in one-tap mode it's the add button
+        const variant = variants[0];
+        container.classList.remove('cb-shop__sizes--multi');
+        container.innerHTML = variant ? `
+          <div class="cb-shop__option-group" data-option-group="0" role="group">
+            <button class="cb-shop__size-btn" data-option-index="0" data-option-value="${escapeHtml(variant.options[0])}">${escapeHtml(t('product.one_size'))}</button>
+          </div>
+        ` : '';
+        if (variant) this.selectedOptions = [...variant.options];
+        this.markSelectedOptions();
+        this.updatePurchaseControls();
+        return;
+      }
 
-        // Check if item already exists
-        const existingIndex = this.cart.findIndex(
-          item => item.variantId === cartItem.variantId && item.size === cartItem.size
-        );
+      container.classList.toggle('cb-shop__sizes--multi', options.length > 1);
+      container.innerHTML = options.map((option, index) => `
+        <div class="cb-shop__option-group" data-option-group="${index}" role="group" aria-label="${escapeHtml(option.name)}">
+          ${option.values.map(value => this.renderOptionButton(index, option, value)).join('')}
+        </div>
+      `).join('');
 
-        if (existingIndex > -1) {
-          this.cart[existingIndex].quantity += 1;
-        } else {
-          this.cart.push(cartItem);
+      this.markSelectedOptions();
+    }
+
+    renderOptionButton(index, option, value) {
+      const name = escapeHtml(value.name);
+      const label = escapeHtml(`${option.name}: ${value.name}`);
+
+      if (value.swatch) {
+        return `<button class="cb-shop__size-btn cb-shop__size-btn--swatch" data-option-index="${index}" data-option-value="${name}" style="--swatch--background: ${escapeHtml(value.swatch)};" aria-label="${label}" title="${name}"></button>`;
+      }
+      return `<button class="cb-shop__size-btn" data-option-index="${index}" data-option-value="${name}" aria-label="${label}">${name}</button>`;
+    }
+
+    /**
+     * Whether any available variant has this value given the earlier selections
+     */
+    isOptionValueAvailable(index, value) {
+      return (this.selectedProduct?.variants || []).some(variant =>
+        variant.available !== false &&
+        variant.options[index] === value &&
+        this.selectedOptions.slice(0, index).every((selected, i) => !selected || variant.options[i] === selected)
+      );
+    }
+
+    findSelectedVariant() {
+      const product = this.selectedProduct;
+      const count = product?.options?.length || 0;
+      if (!product || this.selectedOptions.filter(Boolean).length < count) return null;
+
+      return product.variants?.find(variant =>
+        variant.options.every((value, i) => value === this.selectedOptions[i])
+      ) || null;
+    }
+
+    markSelectedOptions() {
+      this.shopSection?.querySelectorAll('[data-option-index]').forEach(btn => {
+        const index = parseInt(btn.dataset.optionIndex, 10);
+        const value = btn.dataset.optionValue;
+        const available = this.isOptionValueAvailable(index, value);
+
+        btn.classList.toggle('selected', this.selectedOptions[index] === value);
+        btn.classList.toggle('sold-out', !available);
+        btn.disabled = !available;
+      });
+    }
+
+    selectOption(index, value) {
+      this.selectedOptions[index] = value;
+
+      // Drop later choices the new combination can't satisfy
+      for (let i = index + 1; i < this.selectedOptions.length; i++) {
+        if (this.selectedOptions[i] && !this.isOptionValueAvailable(i, this.selectedOptions[i])) {
+          this.selectedOptions[i] = null;
         }
+      }
+
+      this.markSelectedOptions();
+
+      const variant = this.findSelectedVariant();
+      this.renderSelectedVariant(variant);
+      return variant;
+    }
+
+    selectVariant(variant) {
+      this.selectedOptions = [...variant.options];
+      this.markSelectedOptions();
+      this.renderSelectedVariant(variant);
+    }
+
+    renderSelectedVariant(variant) {
+      const priceEl = this.shopSection?.querySelector('[data-shop-product-price]');
+      const price = variant ? variant.price : this.selectedProduct.price;
+      if (priceEl) priceEl.textContent = formatMoney(price);
+
+      if (variant?.image) this.showShopImage(variant.image);
+      if (this.router?.current === 'product') this.updateShopParams({ variant: variant ? variant.id : null, size: null });
+
+      this.updatePurchaseControls();
+    }
+
+    /**
+     * Scroll the gallery to an image, swapping it into the first slide when
+     * it isn't one of the rendered product images
+     */
+    showShopImage(src) {
+      const carousel = this.shopSection.querySelector('[data-shop-carousel]');
+      const slides = carousel ? [...carousel.querySelectorAll('.cb-shop__carousel-slide img')] : [];
+      if (slides.length === 0) return;
+
+      let index = slides.findIndex(img => img.dataset.imgSrc === src);
+      if (index === -1) {
+        index = 0;
+        slides[0].src = src;
+        slides[0].dataset.imgSrc = src;
+      }
+
+      const slideWidth = slides[0].closest('.cb-shop__carousel-slide').offsetWidth + 12; // width + gap
+      carousel.scrollTo({ left: index * slideWidth, behavior: 'smooth' });
+
+      this.shopSection.querySelectorAll('.cb-shop__carousel-dot').forEach((dot, i) => {
+        dot.classList.toggle('active', i === index);
+      });
+    }
+
+    async handleShopOptionSelect(btn) {
+      const index = parseInt(btn.dataset.optionIndex, 10);
+      const value = btn.dataset.optionValue;
+      if (!this.selectedProduct || !value) return;
+
+      const variant = this.selectOption(index, value);
+      const lastGroup = index === (this.selectedProduct.options?.length || 1) - 1;
 
-        this.saveCart();
-        this.updateShopCartBadge();
+      // One-tap mode: picking the last option adds straight to the cart
+      if (!this.oneTapAdd || !lastGroup) return;
+
+      if (!variant) {
+        this.flagMissingOptions();
+        return;
+      }
+
+      const product = this.selectedProduct;
+      btn.classList.add('loading');
+
+      try {
+        await this.addCartLine(variant.id, 1);
 
         // Brief pulse animation
         btn.classList.add('added');
         setTimeout(() => btn.classList.remove('added'), 400);
+        const label = product.has_only_default_variant ? product.title : `${product.title} (${variant.title})`;
+        this.showShopToast(t('product.added_to_bag', { count: 1, title: label }));
 
         // Track
         this.trackEvent('add_to_cart', {
           product_id: product.id,
-          variant_id: cartItem.variantId,
-          size: size,
-          price: product.price,
+          variant_id: variant.id,
+          variant_title: variant.title,
+          price: variant.price,
+        });
+      } catch (err) {
+        console.error('Add to cart failed:', err);
+      } finally {
+        btn.classList.remove('loading');
+      }
+    }
+
+    /**
+     * Sync the quantity rules and the Add to bag button with the chosen variant
+     */
+    updatePurchaseControls() {
+      const addBtn = this.shopSection?.querySelector('[data-shop-add]');
+      const input = this.shopSection?.querySelector('[data-shop-quantity]');
+      if (!addBtn || !input) return;
+
+      const variant = this.findSelectedVariant();
+      const limits = variant ? this.purchaseLimits(variant) : { min: 1, max: null, increment: 1 };
+
+      input.min = limits.min;
+      input.dataset.min = limits.min;
+      input.step = limits.increment;
+      if (limits.max != null) {
+        input.max = Math.max(limits.min, limits.max);
+      } else {
+        input.removeAttribute('max');
+      }
+
+      const quantity = this.getShopQuantity(limits);
+      input.value = quantity;
+      input.closest('quantity-input')?.validateQtyRules?.();
+
+      if (!variant) {
+        const missing = this.selectedProduct?.options?.find((option, i) => !this.selectedOptions[i]);
+        addBtn.disabled = true;
+        addBtn.textContent = missing ? t('product.select_option', { option: missing.name }) : t('product.unavailable');
+        return;
+      }
+
+      if (variant.available === false) {
+        addBtn.disabled = true;
+        addBtn.textContent = t('product.sold_out');
+      } else if (limits.max != null && limits.max < limits.min) {
+        addBtn.disabled = true;
+        addBtn.textContent = t('product.max_in_bag');
+      } else {
+        addBtn.disabled = false;
+        addBtn.textContent = t('product.add_to_bag', { price: formatMoney(variant.price * quantity) });
+      }
+    }
+
+    /**
+     * Current quantity snapped to the variant's min/max/increment limits
+     */
+    getShopQuantity(limits) {
+      const input = this.shopSection?.querySelector('[data-shop-quantity]');
+      const quantity = parseInt(input?.value, 10);
+      if (isNaN(quantity)) return limits.min;
+
+      return Math.max(limits.min, this.snapQuantity(quantity, limits));
+    }
+
+    async handleShopAddToBag(btn) {
+      const product = this.selectedProduct;
+      const variant = this.findSelectedVariant();
+
+      if (!product || !variant) {
+        this.flagMissingOptions();
+        return;
+      }
+
+      const quantity = this.getShopQuantity(this.purchaseLimits(variant));
+
+      btn.disabled = true;
+      btn.classList.add('loading');
+
+      try {
+        await this.addCartLine(variant.id, quantity);
+
+        const label = product.has_only_default_variant ? product.title : `${product.title} (${variant.title})`;
+        this.showShopToast(t('product.added_to_bag', { count: quantity, title: label }));
+
+        this.trackEvent('add_to_cart', {
+          product_id: product.id,
+          variant_id: variant.id,
+          variant_title: variant.title,
+          quantity: quantity,
+          price: variant.price,
         });
+      } catch (err) {
+        console.error('Add to cart failed:', err);
+        this.showShopToast(err.message || t('product.add_error'), true);
+      } finally {
+        btn.classList.remove('loading');
+        this.updatePurchaseControls();
       }
     }
 
+    showShopToast(message, isError = false) {
+      const toast = this.shopSection?.querySelector('[data-shop-toast]');
+      if (!toast) return;
+
+      toast.textContent = message;
+      toast.classList.toggle('cb-shop__toast--error', isError);
+      toast.classList.add('show');
+
+      clearTimeout(this.toastTimer);
+      this.toastTimer = setTimeout(() => toast.classList.remove('show'), 3000);
+    }
+
+    flagMissingOptions() {
+      this.shopSection.querySelectorAll('[data-option-group]').forEach(group => {
+        const index = parseInt(group.dataset.optionGroup, 10);
+        if (this.selectedOptions[index]) return;
+
+        group.classList.remove('missing');
+        void group.offsetWidth; // restart the animation
+        group.classList.add('missing');
+      });
+    }
+
     updateShopCartBadge() {
       const countEl = this.shopSection?.querySelector('[data-shop-cart-count]');
       if (countEl) {
@@ -552,12 +1668,12 @@
       lightbox.innerHTML = `
         <div class="cb-lightbox__backdrop" data-action="close-lightbox"></div>
         <div class="cb-lightbox__content">
-          <button class="cb-lightbox__close" data-action="close-lightbox" aria-label="Close">
+          <button class="cb-lightbox__close" data-action="close-lightbox" aria-label="${t('general.close')}">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M18 6L6 18M6 6l12 12"/>
             </svg>
           </button>
-          <img src="${imgSrc}" alt="${alt || 'Product image'}">
+          <img src="${escapeHtml(imgSrc)}" alt="${escapeHtml(alt || t('product.image_alt'))}">
         </div>
       `;
 
@@ -636,8 +1752,8 @@
             <circle cx="11" cy="11" r="8"/>
             <path d="M21 21l-4.35-4.35"/>
           </svg>
-          <p>No products found${category !== 'all' ? ` in "${category}"` : ''}</p>
-          <button class="cb-shop__empty-btn" data-action="shop-clear-filter">View All Products</button>
+          <p>${category !== 'all' ? escapeHtml(t('grid.no_products_in', { category })) : t('grid.no_products')}</p>
+          <button class="cb-shop__empty-btn" data-action="shop-clear-filter">${t('grid.view_all')}</button>
         `;
         productsContainer.appendChild(emptyState);
 
@@ -653,7 +1769,6 @@
       const itemsContainer = this.shopSection?.querySelector('[data-shop-cart-items]');
       const emptyMsg = this.shopSection?.querySelector('[data-shop-cart-empty]');
       const checkoutSection = this.shopSection?.querySelector('[data-shop-checkout]');
-      const cartTotal = this.shopSection?.querySelector('[data-shop-cart-total]');
 
       if (!itemsContainer) return;
 
@@ -661,71 +1776,105 @@
         itemsContainer.innerHTML = '';
         if (emptyMsg) emptyMsg.style.display = 'block';
         if (checkoutSection) checkoutSection.style.display = 'none';
+        this.loadUpsells();
         return;
       }
 
       if (emptyMsg) emptyMsg.style.display = 'none';
       if (checkoutSection) checkoutSection.style.display = 'block';
 
-      // Calculate and display total
-      const total = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      if (cartTotal) cartTotal.textContent = `$${total.toFixed(2)}`;
+      // Discount field + totals (quoted prices while a price hold is active)
+      const discountMount = checkoutSection?.querySelector('[data-shop-discount-mount]');
+      if (discountMount) discountMount.innerHTML = this.renderDiscountField();
+
+      // Mounted once so the bar animates between totals instead of restarting
+      const shippingMount = checkoutSection?.querySelector('[data-shop-shipping-meter-mount]');
+      if (shippingMount && !shippingMount.firstElementChild) shippingMount.innerHTML = this.renderShippingMeter();
+      this.renderTotals();
+      this.loadUpsells();
 
-      itemsContainer.innerHTML = this.cart.map((item, index) => `
-        <div class="cb-shop__cart-item" data-cart-index="${index}">
+      itemsContainer.innerHTML = this.cart.map((item, index) => {
+        const limits = this.variantLimits?.[item.variantId];
+        const increment = limits?.increment || 1;
+        const atMax = limits?.max != null && item.quantity + increment > limits.max;
+        const issue = this.lineIssue(item);
+
+        return `
+        <div class="cb-shop__cart-item${issue ? ' cb-shop__cart-item--issue' : ''}" data-cart-index="${index}">
           <div class="cb-shop__cart-item-image">
-            ${item.image ? `<img src="${item.image}" alt="${item.title}">` : ''}
+            ${item.image ? `<img src="${escapeHtml(item.image)}" alt="${escapeHtml(item.title)}">` : ''}
           </div>
           <div class="cb-shop__cart-item-info">
-            <p class="name">${item.title}</p>
-            <p class="price">$${(item.price * item.quantity).toFixed(2)}</p>
-            <p class="meta">Size: ${item.size}</p>
+            <p class="name">${escapeHtml(item.title)}</p>
+            <p class="price">${formatMoney(this.quotedPrice(item) * item.quantity)}</p>
+            <p class="meta">${escapeHtml(item.variantTitle)}</p>
+            ${issue ? this.renderLineIssue(issue, index, limits) : ''}
+            ${item.handle ? `<button type="button" class="cb-shop__line-action" data-action="shop-move-to-wishlist" data-index="${index}">${t('wishlist.save_for_later')}</button>` : ''}
           </div>
           <div class="cb-shop__cart-qty">
             <button class="cb-shop__cart-qty-btn" data-qty-action="decrease" data-index="${index}">−</button>
             <span class="cb-shop__cart-qty-value">${item.quantity}</span>
-            <button class="cb-shop__cart-qty-btn" data-qty-action="increase" data-index="${index}">+</button>
+            <button class="cb-shop__cart-qty-btn" data-qty-action="increase" data-index="${index}" ${atMax ? 'disabled' : ''}>+</button>
           </div>
         </div>
-      `).join('');
+      `;
+      }).join('');
+
+      // One-tap fixes for lines flagged by the inventory check
+      itemsContainer.querySelectorAll('[data-fix-index]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          btn.disabled = true;
+          try {
+            await this.changeCartLine(parseInt(btn.dataset.fixIndex, 10), parseInt(btn.dataset.fixQuantity, 10));
+          } catch (err) {
+            console.error('Cart update failed:', err);
+            btn.disabled = false;
+            return;
+          }
+
+          if (this.cart.length === 0) {
+            this.router.go('grid');
+          }
+        });
+      });
 
       // Bind quantity buttons
       itemsContainer.querySelectorAll('[data-qty-action]').forEach(btn => {
-        btn.addEventListener('click', () => {
+        btn.addEventListener('click', async () => {
           const index = parseInt(btn.dataset.index, 10);
           const action = btn.dataset.qtyAction;
-
-          if (action === 'increase') {
-            this.cart[index].quantity += 1;
-          } else if (action === 'decrease') {
-            this.cart[index].quantity -= 1;
-            if (this.cart[index].quantity <= 0) {
-              this.cart.splice(index, 1);
-            }
+          const item = this.cart[index];
+          if (!item) return;
+
+          // Step by the quantity rule increment; dropping below the minimum removes the line
+          const limits = this.variantLimits?.[item.variantId] || { min: 1, max: null, increment: 1 };
+          let quantity = action === 'increase' ? item.quantity + limits.increment : item.quantity - limits.increment;
+          if (limits.max != null) quantity = Math.min(quantity, limits.max);
+          if (quantity < limits.min) quantity = 0;
+
+          btn.disabled = true;
+          try {
+            await this.changeCartLine(index, Math.max(0, quantity));
+          } catch (err) {
+            console.error('Cart update failed:', err);
+            btn.disabled = false;
+            return;
           }
 
-          this.saveCart();
-          this.updateShopCartBadge();
-
-          // If cart is now empty, go back to grid view
+          // If cart is now empty, go back to grid view (applyCartState re-rendered otherwise)
           if (this.cart.length === 0) {
-            this.setShopView('grid');
-          } else {
-            this.renderShopCart();
+            this.router.go('grid');
           }
         });
       });
     }
 
-    backToCart() {
+    hideCheckoutForm() {
       const cartView = this.shopSection?.querySelector('[data-shop-content="cart"]');
 
       // Reset the cart header
       const cartTitle = this.shopSection?.querySelector('[data-shop-cart-title]');
-      const headerCart = this.shopSection?.querySelector('[data-shop-header-cart]');
-
-      if (cartTitle) cartTitle.textContent = 'CART';
-      if (headerCart) headerCart.dataset.action = 'shop-back-to-grid';
+      if (cartTitle) cartTitle.textContent = t('cart.title');
 
       // Remove the checkout form
       const checkoutForm = cartView?.querySelector('.cb-shop__checkout-form');
@@ -750,191 +1899,708 @@
     }
 
     // ============================================
-    // CHECKOUT WITH AUTOFILL FORM
+    // WISHLIST
     // ============================================
 
-    async handleExpressCheckout(method) {
-      if (this.cart.length === 0) return;
+    /**
+     * Saved items per creator: [{ handle, variantId, addedAt }] in
+     * localStorage. Products are drawn from the embedded product data, so a
+     * list only shows what this creator's shop carries. Logged-in customers
+     * sync through WISHLIST_URL, which stands in for a creator_bio.wishlist
+     * customer metafield.
+     */
+    initWishlist() {
+      this.wishlist = this.loadWishlist();
+      this.updateWishlistButtons();
+
+      if (CONFIG.customerId) this.syncWishlist();
+    }
 
-      this.trackEvent('begin_checkout', {
-        method: method,
-        items: this.cart.length,
-        total: this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0),
-      });
+    wishlistStorageKey() {
+      return `${WISHLIST_STORAGE_PREFIX}:${this.creator || 'shop'}`;
+    }
 
-      // Express pay only needs name and email (Apple Pay, Google Pay, Shop Pay have address stored)
-      this.showCheckoutForm(true, method);
+    loadWishlist() {
+      try {
+        const data = JSON.parse(localStorage.getItem(this.wishlistStorageKey()) || 'null');
+        return Array.isArray(data?.items) ? data.items : [];
+      } catch {
+        return [];
+      }
     }
 
-    handleShopCheckout() {
-      console.log('handleShopCheckout called, cart:', this.cart);
-      if (this.cart.length === 0) {
-        console.log('Cart is empty, returning');
-        return;
+    saveWishlist({ sync = true } = {}) {
+      try {
+        localStorage.setItem(this.wishlistStorageKey(), JSON.stringify({ version: 1, items: this.wishlist }));
+      } catch {
+        // Storage unavailable - the list still works for this page view
       }
-      console.log('Showing checkout form');
-      this.showCheckoutForm(false);
+
+      this.updateWishlistButtons();
+      if (this.router?.current === 'wishlist' && !this.sharedWishlist) this.renderWishlist();
+      if (sync && CONFIG.customerId) this.queueWishlistSync();
     }
 
-    showCheckoutForm(isExpress = false, expressMethod = null) {
-      const cartView = this.shopSection?.querySelector('[data-shop-content="cart"]');
-      if (!cartView) return;
+    productDataByHandle(handle) {
+      const productEl = this.shopSection?.querySelector(`.cb-shop__product[data-product-handle="${CSS.escape(handle)}"]`);
+      const dataScript = productEl?.querySelector('.cb-shop__product-data');
+      if (!dataScript) return null;
 
-      const total = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      try {
+        return JSON.parse(dataScript.textContent);
+      } catch {
+        return null;
+      }
+    }
 
-      // Update the cart header to show checkout title
-      const cartTitle = this.shopSection?.querySelector('[data-shop-cart-title]');
-      const headerCart = this.shopSection?.querySelector('[data-shop-header-cart]');
+    isWishlisted(handle) {
+      return this.wishlist.some(entry => entry.handle === handle);
+    }
 
-      if (isExpress) {
-        const methodLabels = {
-          'apple': 'Apple Pay',
-          'google': 'Google Pay',
-          'shop': 'Shop Pay'
-        };
-        const methodLabel = methodLabels[expressMethod] || 'Express Pay';
-        if (cartTitle) cartTitle.textContent = methodLabel;
+    addToWishlist(handle, variantId = null) {
+      const existing = this.wishlist.find(entry => entry.handle === handle);
+      if (existing) {
+        if (variantId) existing.variantId = variantId;
       } else {
-        if (cartTitle) cartTitle.textContent = 'CHECKOUT';
+        this.wishlist.unshift({ handle, variantId, addedAt: Date.now() });
+        this.trackEvent('wishlist_add', { handle });
       }
 
-      // Update back button to go back to cart
-      if (headerCart) {
-        headerCart.dataset.action = 'checkout-back-to-cart';
+      this.saveWishlist();
+    }
+
+    removeFromWishlist(handle) {
+      this.wishlist = this.wishlist.filter(entry => entry.handle !== handle);
+      this.saveWishlist();
+    }
+
+    toggleWishlist(handle) {
+      if (!handle) return;
+
+      if (this.isWishlisted(handle)) {
+        this.removeFromWishlist(handle);
+        this.showShopToast(t('wishlist.removed'));
+        return;
       }
 
-      // Hide existing cart content (don't destroy it)
-      const existingContent = cartView.querySelectorAll(':scope > *');
-      existingContent.forEach(el => el.style.display = 'none');
+      // From the product view, remember the variant the shopper picked
+      const variantId = this.selectedProduct?.handle === handle ? this.findSelectedVariant()?.id : null;
+      this.addToWishlist(handle, variantId || null);
+      this.showShopToast(t('wishlist.saved'));
+    }
 
-      // Remove any existing checkout form
-      const existingForm = cartView.querySelector('.cb-shop__checkout-form');
-      if (existingForm) existingForm.remove();
+    updateWishlistButtons() {
+      if (!this.shopSection || !this.wishlist) return;
 
-      // Create checkout form element
-      const formContainer = document.createElement('div');
-      formContainer.className = isExpress ? 'cb-shop__checkout-form cb-shop__checkout-form--express' : 'cb-shop__checkout-form';
+      this.shopSection.querySelectorAll('.cb-shop__product-wish, [data-shop-product-wish]').forEach(btn => {
+        const handle = btn.dataset.productHandle || this.selectedProduct?.handle;
+        if (!handle) return;
 
-      // Express checkout form (simpler - just name and email)
-      if (isExpress) {
-        const methodLabels = {
-          'apple': 'Apple Pay',
-          'google': 'Google Pay',
-          'shop': 'Shop Pay'
-        };
-        const methodLabel = methodLabels[expressMethod] || 'Express Pay';
+        const saved = this.isWishlisted(handle);
+        const title = this.productDataByHandle(handle)?.title || '';
 
-        formContainer.innerHTML = `
-          <button type="button" class="cb-shop__form-back" data-action="checkout-back-to-cart">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M19 12H5M12 19l-7-7 7-7"/>
-            </svg>
-            Back to cart
-          </button>
-          <p class="cb-shop__form-note">Enter your details to continue with ${methodLabel}</p>
+        btn.classList.toggle('is-saved', saved);
+        btn.setAttribute('aria-pressed', String(saved));
+        btn.setAttribute('aria-label', t(saved ? 'wishlist.remove' : 'wishlist.save', { title }));
+      });
 
-          <form class="cb-shop__form" data-checkout-form data-express="true" data-method="${expressMethod}">
-            <div class="cb-shop__form-section">
-              <div class="cb-shop__form-row">
-                <input type="text" name="firstName" required placeholder="First name">
-                <input type="text" name="lastName" required placeholder="Last name">
-              </div>
-              <input type="email" name="email" required placeholder="Email">
-            </div>
+      const countEl = this.shopSection.querySelector('[data-shop-wishlist-count]');
+      if (countEl) countEl.textContent = this.wishlist.length > 0 ? Math.min(this.wishlist.length, 99) : '';
+    }
 
-            <div class="cb-shop__form-total">
-              <span>Total</span>
-              <span>$${total.toFixed(2)}</span>
-            </div>
+    /**
+     * Draw the shopper's list, or a shared one when the URL carried ?items=
+     */
+    renderWishlist(sharedItems = null) {
+      const view = this.shopSection?.querySelector('[data-shop-content="wishlist"]');
+      if (!view) return;
 
-            <button type="submit" class="cb-shop__form-submit cb-shop__form-submit--${expressMethod}">
-              Continue with ${methodLabel}
-            </button>
-          </form>
-        `;
-      } else {
-        // Full checkout form
-        formContainer.innerHTML = `
-          <button type="button" class="cb-shop__form-back" data-action="checkout-back-to-cart">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M19 12H5M12 19l-7-7 7-7"/>
-            </svg>
-            Back to cart
-          </button>
+      this.sharedWishlist = sharedItems ? this.parseSharedWishlist(sharedItems) : null;
+      const entries = this.sharedWishlist || this.wishlist || [];
 
-          <form class="cb-shop__form" data-checkout-form>
-            <div class="cb-shop__form-section">
-              <label>Contact</label>
-              <input type="email" name="email" required placeholder="Email">
-            </div>
+      const rows = entries.map(entry => {
+        const product = this.productDataByHandle(entry.handle);
+        if (!product) return '';
 
-            <div class="cb-shop__form-section">
-              <label>Shipping</label>
-              <div class="cb-shop__form-row">
-                <input type="text" name="firstName" required placeholder="First name">
-                <input type="text" name="lastName" required placeholder="Last name">
-              </div>
-              <input type="text" name="address1" required placeholder="Address">
-              <input type="text" name="address2" placeholder="Apt, suite, etc. (optional)">
-              <div class="cb-shop__form-row">
-                <input type="text" name="city" required placeholder="City">
-                <input type="text" name="zip" required placeholder="ZIP code">
-              </div>
-              <select name="country" required>
-                <option value="US" selected>United States</option>
-                <option value="CA">Canada</option>
-                <option value="GB">United Kingdom</option>
-                <option value="AU">Australia</option>
-              </select>
-            </div>
+        const variant = product.variants?.find(v => String(v.id) === String(entry.variantId))
+          || (product.has_only_default_variant ? product.variants?.[0] : null);
+        const available = variant ? variant.available : product.variants?.some(v => v.available);
+        const image = variant?.image || product.images?.[0];
 
-            <div class="cb-shop__form-total">
-              <span>Total</span>
-              <span>$${total.toFixed(2)}</span>
-            </div>
+        let actionLabel = t('wishlist.choose_options');
+        if (!available) actionLabel = t('product.sold_out');
+        else if (variant) actionLabel = t('wishlist.move_to_bag');
 
-            <button type="submit" class="cb-shop__form-submit">
-              Continue to Payment
-            </button>
-          </form>
+        return `
+          <div class="cb-shop__cart-item cb-shop__wishlist-item">
+            <div class="cb-shop__cart-item-image">
+              ${image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(product.title)}">` : ''}
+            </div>
+            <div class="cb-shop__cart-item-info">
+              <p class="name">${escapeHtml(product.title)}</p>
+              <p class="price">${formatMoney(variant ? variant.price : product.price)}</p>
+              ${variant && !product.has_only_default_variant ? `<p class="meta">${escapeHtml(variant.title)}</p>` : ''}
+              <button type="button" class="cb-shop__line-action" data-action="shop-move-to-cart" data-handle="${escapeHtml(product.handle)}" ${available ? '' : 'disabled'}>
+                ${actionLabel}
+              </button>
+            </div>
+            ${this.sharedWishlist ? '' : `
+              <button type="button" class="cb-shop__cart-remove" data-action="shop-toggle-wishlist" data-product-handle="${escapeHtml(product.handle)}" aria-label="${escapeHtml(t('wishlist.remove', { title: product.title }))}">×</button>
+            `}
+          </div>
         `;
-      }
+      }).join('');
 
-      // Add form to cart view
-      cartView.appendChild(formContainer);
+      view.querySelector('[data-shop-wishlist-items]').innerHTML = rows;
+      view.querySelector('[data-shop-wishlist-empty]').style.display = rows.trim() ? 'none' : 'flex';
+      view.querySelector('[data-shop-wishlist-shared]').hidden = !this.sharedWishlist;
+      view.querySelector('[data-shop-wishlist-share]').hidden = Boolean(this.sharedWishlist) || !rows.trim();
+    }
 
-      // Handle form submit
-      cartView.querySelector('[data-checkout-form]')?.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        e.stopPropagation();
+    async moveWishlistItemToCart(handle) {
+      const entry = (this.sharedWishlist || this.wishlist).find(item => item.handle === handle);
+      const product = entry && this.productDataByHandle(handle);
+      if (!product) return;
 
-        const form = e.target;
-        const submitBtn = form.querySelector('.cb-shop__form-submit');
-        const formData = new FormData(form);
-        const isExpressForm = form.dataset.express === 'true';
+      const variant = product.variants?.find(v => String(v.id) === String(entry.variantId))
+        || (product.has_only_default_variant ? product.variants?.[0] : null);
 
-        // Validate email
-        const email = formData.get('email');
-        const emailInput = form.querySelector('input[name="email"]');
+      // No variant picked yet - choose options on the product view
+      if (!variant) {
+        if (this.selectProductByHandle(handle)) this.router.go('product');
+        return;
+      }
 
-        if (!this.isValidEmail(email)) {
-          this.showFormError(emailInput, 'Please enter a valid email address');
-          return;
-        }
+      const quantity = this.purchaseLimits(variant).min;
+      try {
+        await this.addCartLine(variant.id, quantity);
+      } catch (err) {
+        this.showShopToast(err.message || t('product.add_error'), true);
+        return;
+      }
 
-        // Validate required fields
-        const firstName = formData.get('firstName');
-        const lastName = formData.get('lastName');
+      if (!this.sharedWishlist) this.removeFromWishlist(handle);
+      const title = product.has_only_default_variant ? product.title : `${product.title} (${variant.title})`;
+      this.showShopToast(t('product.added_to_bag', { count: quantity, title }));
+    }
 
-        if (!firstName || firstName.trim() === '') {
-          const input = form.querySelector('input[name="firstName"]');
-          this.showFormError(input, 'First name is required');
-          return;
+    async moveCartLineToWishlist(index) {
+      const item = this.cart[index];
+      if (!item?.handle) return;
+
+      this.addToWishlist(item.handle, item.variantId);
+
+      try {
+        await this.changeCartLine(index, 0);
+      } catch (err) {
+        console.error('Cart update failed:', err);
+        this.showShopToast(err.message || window.cartStrings?.error, true);
+        return;
+      }
+
+      this.showShopToast(t('wishlist.saved'));
+      if (this.cart.length === 0) this.router.go('grid');
+    }
+
+    /**
+     * Shared lists travel in the URL: handle or handle~variantId, comma-separated
+     */
+    wishlistShareUrl() {
+      const items = this.wishlist
+        .map(entry => (entry.variantId ? `${entry.handle}~${entry.variantId}` : entry.handle))
+        .join(',');
+      const { origin, pathname, search } = window.location;
+      return `${origin}${pathname}${search}${SHOP_HASH_PREFIX}/wishlist?items=${encodeURIComponent(items)}`;
+    }
+
+    parseSharedWishlist(value) {
+      return String(value)
+        .split(',')
+        .map(part => {
+          const [handle, variantId] = part.split('~');
+          return { handle: handle.trim(), variantId: variantId || null, addedAt: Date.now() };
+        })
+        .filter(entry => /^[\w-]+$/.test(entry.handle))
+        .slice(0, 50);
+    }
+
+    async shareWishlist() {
+      const url = this.wishlistShareUrl();
+
+      try {
+        if (navigator.share) {
+          await navigator.share({ title: t('wishlist.share_title', { creator: this.creator }), url });
+          return;
+        }
+
+        await navigator.clipboard.writeText(url);
+        this.showShopToast(t('wishlist.link_copied'));
+      } catch (err) {
+        if (err?.name !== 'AbortError') this.showShopToast(t('wishlist.share_error'), true);
+      }
+    }
+
+    saveSharedWishlist() {
+      const shared = this.sharedWishlist || [];
+
+      shared.forEach(entry => {
+        if (!this.isWishlisted(entry.handle) && this.productDataByHandle(entry.handle)) {
+          this.wishlist.push({ ...entry, addedAt: Date.now() });
+        }
+      });
+
+      this.sharedWishlist = null;
+      this.updateShopParams({ items: null });
+      this.saveWishlist();
+      this.renderWishlist();
+      this.showShopToast(t('wishlist.saved'));
+    }
+
+    /**
+     * Merge the customer's stored list into this device's list (union by
+     * handle, this device's variant choice wins), then write the result back
+     */
+    async syncWishlist() {
+      try {
+        const response = await fetch(`${WISHLIST_URL}?creator=${encodeURIComponent(this.creator)}`, {
+          headers: { Accept: 'application/json' },
+        });
+        if (!response.ok) return;
+
+        const { items = [] } = await response.json();
+        items.forEach(remote => {
+          const local = this.wishlist.find(entry => entry.handle === remote.handle);
+          if (!local) {
+            this.wishlist.push(remote);
+          } else {
+            local.variantId = local.variantId || remote.variantId || null;
+            local.addedAt = Math.min(local.addedAt || Date.now(), remote.addedAt || Date.now());
+          }
+        });
+
+        this.wishlist.sort((a, b) => (b.addedAt || 0) - (a.addedAt || 0));
+        this.saveWishlist();
+      } catch (err) {
+        console.warn('Wishlist sync failed:', err);
+      }
+    }
+
+    queueWishlistSync() {
+      clearTimeout(this.wishlistSyncTimer);
+      this.wishlistSyncTimer = setTimeout(() => {
+        fetch(WISHLIST_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ creator: this.creator, items: this.wishlist }),
+          keepalive: true,
+        }).catch(err => console.warn('Wishlist sync failed:', err));
+      }, 800);
+    }
+
+    // ============================================
+    // CART UPSELLS
+    // ============================================
+
+    /**
+     * "Complete the look" strip under the cart lines. Candidates come from
+     * Shopify's product recommendations (the source product-recommendations
+     * in global.js renders) and are kept only when they're in this creator's
+     * collection, so cards use the embedded product data and creator pricing.
+     */
+    async loadUpsells() {
+      const strip = this.shopSection?.querySelector('[data-shop-upsells]');
+      if (!strip) return;
+
+      const sources = [...new Set(this.cart.map(item => item.id))].slice(0, UPSELL_SOURCE_LIMIT);
+      const key = sources.join(',');
+
+      if (!key) {
+        this.upsellKey = '';
+        this.upsellHandles = [];
+        this.renderUpsells();
+        return;
+      }
+
+      // Same products, new quantities - only re-filter what's already loaded
+      if (key === this.upsellKey) {
+        this.renderUpsells();
+        return;
+      }
+
+      this.upsellKey = key;
+      const lists = await Promise.all(sources.map(productId => this.fetchRecommendations(productId)));
+
+      // The bag changed while these were loading
+      if (this.upsellKey !== key) return;
+
+      this.upsellHandles = [...new Set(lists.flat())];
+      this.renderUpsells();
+    }
+
+    /**
+     * Recommended product handles for one product, cached per page view
+     */
+    fetchRecommendations(productId) {
+      if (this.recommendations.has(productId)) return this.recommendations.get(productId);
+
+      const baseUrl = window.routes?.product_recommendations_url || '/recommendations/products';
+      const request = Promise.all(UPSELL_INTENTS.map(intent =>
+        fetch(`${baseUrl}.json?product_id=${productId}&limit=10&intent=${intent}`)
+          .then(response => (response.ok ? response.json() : { products: [] }))
+          .then(data => (data.products || []).map(product => product.handle))
+          .catch(() => [])
+      )).then(lists => lists.flat());
+
+      this.recommendations.set(productId, request);
+      return request;
+    }
+
+    renderUpsells() {
+      const strip = this.shopSection?.querySelector('[data-shop-upsells]');
+      const track = strip?.querySelector('[data-shop-upsells-track]');
+      if (!track) return;
+
+      const inCart = new Set(this.cart.map(item => item.handle));
+      const products = (this.upsellHandles || [])
+        .filter(handle => !inCart.has(handle))
+        .map(handle => this.productDataByHandle(handle))
+        .filter(product => product?.variants?.some(variant => variant.available))
+        .slice(0, UPSELL_LIMIT);
+
+      strip.hidden = products.length === 0;
+      track.innerHTML = products.map((product, index) => {
+        const prices = product.variants.filter(variant => variant.available).map(variant => variant.price);
+        const image = product.images?.[0];
+
+        return `
+          <div class="cb-shop__upsell" data-upsell-handle="${escapeHtml(product.handle)}" data-upsell-position="${index + 1}">
+            <div class="cb-shop__upsell-image">
+              ${image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(product.title)}" loading="lazy">` : ''}
+              <button type="button" class="cb-shop__upsell-add" data-action="shop-upsell-add" data-product-handle="${escapeHtml(product.handle)}" aria-label="${escapeHtml(t('upsells.add', { title: product.title }))}">+</button>
+            </div>
+            <p class="name">${escapeHtml(product.title)}</p>
+            <p class="price">${formatMoney(Math.min(...prices))}</p>
+          </div>
+        `;
+      }).join('');
+
+      this.observeUpsellImpressions(track);
+    }
+
+    /**
+     * One upsell_impression per product per page view, once half the card is visible
+     */
+    observeUpsellImpressions(track) {
+      if (!this.upsellObserver) {
+        this.upsellObserver = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            this.upsellObserver.unobserve(entry.target);
+
+            const { upsellHandle: handle, upsellPosition: position } = entry.target.dataset;
+            if (this.upsellImpressions.has(handle)) return;
+            this.upsellImpressions.add(handle);
+
+            this.trackEvent('upsell_impression', {
+              product_id: this.productDataByHandle(handle)?.id,
+              handle,
+              position: parseInt(position, 10),
+            });
+          });
+        }, { threshold: 0.5 });
+      }
+
+      this.upsellObserver.disconnect();
+      track.querySelectorAll('[data-upsell-handle]').forEach(card => this.upsellObserver.observe(card));
+    }
+
+    addUpsell(handle, btn) {
+      const product = this.productDataByHandle(handle);
+      if (!product) return;
+
+      if (product.has_only_default_variant) {
+        this.addUpsellVariant(product, product.variants[0], btn);
+        return;
+      }
+
+      this.openUpsellSheet(product, btn);
+    }
+
+    openUpsellSheet(product, trigger) {
+      const sheet = this.shopSection?.querySelector('[data-shop-upsell-sheet]');
+      if (!sheet) return;
+
+      const prices = product.variants.filter(variant => variant.available).map(variant => variant.price);
+      sheet.querySelector('[data-shop-upsell-sheet-title]').textContent = product.title;
+      sheet.querySelector('[data-shop-upsell-sheet-price]').textContent = formatMoney(Math.min(...prices));
+      sheet.querySelector('[data-shop-upsell-options]').innerHTML = product.variants.map(variant => `
+        <button type="button" class="cb-shop__sheet-option" data-action="shop-upsell-pick" data-variant-id="${variant.id}" ${variant.available ? '' : 'disabled'}>
+          <span>${escapeHtml(variant.title)}</span>
+          <span>${variant.available ? formatMoney(variant.price) : t('product.sold_out')}</span>
+        </button>
+      `).join('');
+
+      this.upsellProduct = product;
+      this.upsellTrigger = trigger;
+      sheet.hidden = false;
+      sheet.querySelector('.cb-shop__sheet-option:not([disabled])')?.focus();
+    }
+
+    closeUpsellSheet() {
+      const sheet = this.shopSection?.querySelector('[data-shop-upsell-sheet]');
+      if (!sheet || sheet.hidden) return;
+
+      sheet.hidden = true;
+      this.upsellProduct = null;
+      if (this.upsellTrigger?.isConnected) this.upsellTrigger.focus();
+      this.upsellTrigger = null;
+    }
+
+    pickUpsellVariant(variantId, btn) {
+      const product = this.upsellProduct;
+      const variant = product?.variants.find(v => String(v.id) === String(variantId));
+      if (!variant) return;
+
+      this.addUpsellVariant(product, variant, btn);
+    }
+
+    async addUpsellVariant(product, variant, btn) {
+      const quantity = this.purchaseLimits(variant).min;
+
+      btn.disabled = true;
+      btn.classList.add('loading');
+
+      try {
+        await this.addCartLine(variant.id, quantity);
+      } catch (err) {
+        console.error('Add to cart failed:', err);
+        this.showShopToast(err.message || t('product.add_error'), true);
+        return;
+      } finally {
+        btn.disabled = false;
+        btn.classList.remove('loading');
+      }
+
+      this.closeUpsellSheet();
+
+      const title = product.has_only_default_variant ? product.title : `${product.title} (${variant.title})`;
+      this.showShopToast(t('product.added_to_bag', { count: quantity, title }));
+
+      this.trackEvent('upsell_add', {
+        product_id: product.id,
+        variant_id: variant.id,
+        variant_title: variant.title,
+        price: variant.price,
+        quantity,
+      });
+    }
+
+    // ============================================
+    // CHECKOUT WITH AUTOFILL FORM
+    // ============================================
+
+    async handleExpressCheckout(method) {
+      if (this.cart.length === 0 || this.blockCheckoutForIssues()) return;
+
+      this.trackEvent('begin_checkout', {
+        method: method,
+        items: this.cart.length,
+        total: this.cartTotal(),
+      });
+
+      // Wallet sheet first; the name + email form is the fallback (and Shop Pay's path)
+      if (this.wallets?.isAvailable(method)) {
+        this.startWalletCheckout(method);
+        return;
+      }
+
+      // Express pay only needs name and email (Apple Pay, Google Pay, Shop Pay have address stored)
+      this.router.go('checkout', { express: true, method });
+    }
+
+    handleShopCheckout() {
+      if (this.cart.length === 0 || this.blockCheckoutForIssues()) return;
+
+      this.router.go('checkout', { express: false });
+    }
+
+    showCheckoutForm(isExpress = false, expressMethod = null) {
+      const cartView = this.shopSection?.querySelector('[data-shop-content="cart"]');
+      if (!cartView) return;
+
+      const total = this.discountedTotal();
+
+      // Update the cart header to show checkout title
+      const cartTitle = this.shopSection?.querySelector('[data-shop-cart-title]');
+
+      if (isExpress) {
+        const methodLabel = expressMethodLabel(expressMethod);
+        if (cartTitle) cartTitle.textContent = methodLabel;
+      } else {
+        if (cartTitle) cartTitle.textContent = t('checkout.title');
+      }
+
+      // Hide existing cart content (don't destroy it)
+      const existingContent = cartView.querySelectorAll(':scope > *');
+      existingContent.forEach(el => el.style.display = 'none');
+
+      // Remove any existing checkout form
+      const existingForm = cartView.querySelector('.cb-shop__checkout-form');
+      if (existingForm) existingForm.remove();
+
+      // Create checkout form element
+      const formContainer = document.createElement('div');
+      formContainer.className = isExpress ? 'cb-shop__checkout-form cb-shop__checkout-form--express' : 'cb-shop__checkout-form';
+
+      // Express checkout form (simpler - just name and email)
+      if (isExpress) {
+        const methodLabel = expressMethodLabel(expressMethod);
+
+        formContainer.innerHTML = `
+          <button type="button" class="cb-shop__form-back" data-action="checkout-back-to-cart">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            ${t('checkout.back_to_cart')}
+          </button>
+          <p class="cb-shop__form-note">${t('checkout.express_note', { method: methodLabel })}</p>
+
+          <form class="cb-shop__form" data-checkout-form data-express="true" data-method="${expressMethod}">
+            <div class="cb-shop__form-section">
+              <div class="cb-shop__form-row">
+                <input type="text" name="firstName" required placeholder="${t('checkout.first_name')}">
+                <input type="text" name="lastName" required placeholder="${t('checkout.last_name')}">
+              </div>
+              <input type="email" name="email" required placeholder="${t('checkout.email')}">
+            </div>
+
+            <p class="cb-shop__price-hold" data-price-hold hidden>
+              ${t('cart.price_held_html', { time: '<span data-price-hold-timer>15:00</span>' })}
+            </p>
+
+            ${this.renderDiscountField()}
+
+            ${this.renderShippingMeter()}
+
+            <div class="cb-shop__form-savings" data-checkout-savings hidden>
+              <span>${t('cart.savings')}</span>
+              <span data-checkout-savings-amount></span>
+            </div>
+
+            <div class="cb-shop__form-total">
+              <span>${t('cart.total')}</span>
+              <span data-checkout-total>${formatMoney(total)}</span>
+            </div>
+
+            <button type="submit" class="cb-shop__form-submit cb-shop__form-submit--${expressMethod}">
+              ${submitLabel(true, expressMethod)}
+            </button>
+          </form>
+        `;
+      } else {
+        // Full checkout form
+        formContainer.innerHTML = `
+          <button type="button" class="cb-shop__form-back" data-action="checkout-back-to-cart">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            ${t('checkout.back_to_cart')}
+          </button>
+
+          <form class="cb-shop__form" data-checkout-form>
+            <div class="cb-shop__form-section">
+              <label>${t('checkout.contact')}</label>
+              <input type="email" name="email" required placeholder="${t('checkout.email')}">
+            </div>
+
+            <div class="cb-shop__form-section">
+              <label>${t('checkout.shipping')}</label>
+              <select name="country" required autocomplete="country" aria-label="${t('checkout.country')}" data-checkout-country>
+                ${this.countryOptionTags()}
+              </select>
+              <div class="cb-shop__form-row">
+                <input type="text" name="firstName" required autocomplete="given-name" placeholder="${t('checkout.first_name')}">
+                <input type="text" name="lastName" required autocomplete="family-name" placeholder="${t('checkout.last_name')}">
+              </div>
+              <input type="text" name="address1" required autocomplete="address-line1" placeholder="${t('checkout.address1')}">
+              <input type="text" name="address2" autocomplete="address-line2" placeholder="${t('checkout.address2')}">
+              <div class="cb-shop__form-row">
+                <input type="text" name="city" required autocomplete="address-level2" placeholder="${t('checkout.city')}">
+                <input type="text" name="zip" autocomplete="postal-code" data-checkout-zip>
+              </div>
+              <select name="province" autocomplete="address-level1" data-checkout-province hidden></select>
+            </div>
+
+            <p class="cb-shop__price-hold" data-price-hold hidden>
+              ${t('cart.price_held_html', { time: '<span data-price-hold-timer>15:00</span>' })}
+            </p>
+
+            ${this.renderDiscountField()}
+
+            ${this.renderShippingMeter()}
+
+            <div class="cb-shop__form-savings" data-checkout-savings hidden>
+              <span>${t('cart.savings')}</span>
+              <span data-checkout-savings-amount></span>
+            </div>
+
+            <div class="cb-shop__form-total">
+              <span>${t('cart.total')}</span>
+              <span data-checkout-total>${formatMoney(total)}</span>
+            </div>
+
+            <button type="submit" class="cb-shop__form-submit">
+              ${submitLabel(false)}
+            </button>
+          </form>
+        `;
+      }
+
+      // Add form to cart view
+      cartView.appendChild(formContainer);
+      this.updatePriceHold();
+      this.renderTotals();
+
+      const addressForm = formContainer.querySelector('[data-checkout-form]');
+      if (addressForm?.querySelector('[data-checkout-country]')) {
+        this.selectDefaultCountry(addressForm);
+        addressForm.querySelector('[data-checkout-country]').addEventListener('change', () => {
+          this.applyAddressFormat(addressForm);
+        });
+      }
+
+      // Handle form submit
+      cartView.querySelector('[data-checkout-form]')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const form = e.target;
+        const submitBtn = form.querySelector('.cb-shop__form-submit');
+        const formData = new FormData(form);
+        const isExpressForm = form.dataset.express === 'true';
+
+        // Validate email
+        const email = formData.get('email');
+        const emailInput = form.querySelector('input[name="email"]');
+
+        if (!this.isValidEmail(email)) {
+          this.showFormError(emailInput, t('checkout.errors.email'));
+          return;
+        }
+
+        // Validate required fields
+        const firstName = formData.get('firstName');
+        const lastName = formData.get('lastName');
+
+        if (!firstName || firstName.trim() === '') {
+          const input = form.querySelector('input[name="firstName"]');
+          this.showFormError(input, t('checkout.errors.first_name'));
+          return;
         }
 
         if (!lastName || lastName.trim() === '') {
           const input = form.querySelector('input[name="lastName"]');
-          this.showFormError(input, 'Last name is required');
+          this.showFormError(input, t('checkout.errors.last_name'));
           return;
         }
 
@@ -942,25 +2608,20 @@
         if (!isExpressForm) {
           const address1 = formData.get('address1');
           const city = formData.get('city');
-          const zip = formData.get('zip');
 
           if (!address1 || address1.trim() === '') {
             const input = form.querySelector('input[name="address1"]');
-            this.showFormError(input, 'Address is required');
+            this.showFormError(input, t('checkout.errors.address1'));
             return;
           }
 
           if (!city || city.trim() === '') {
             const input = form.querySelector('input[name="city"]');
-            this.showFormError(input, 'City is required');
+            this.showFormError(input, t('checkout.errors.city'));
             return;
           }
 
-          if (!zip || zip.trim() === '') {
-            const input = form.querySelector('input[name="zip"]');
-            this.showFormError(input, 'ZIP code is required');
-            return;
-          }
+          if (!this.validateAddressFormat(form)) return;
         }
 
         submitBtn.disabled = true;
@@ -978,7 +2639,8 @@
           this.customerInfo.address1 = formData.get('address1');
           this.customerInfo.address2 = formData.get('address2');
           this.customerInfo.city = formData.get('city');
-          this.customerInfo.zip = formData.get('zip');
+          this.customerInfo.zip = formData.get('zip')?.trim().toUpperCase();
+          this.customerInfo.province = formData.get('province');
           this.customerInfo.country = formData.get('country');
         }
 
@@ -1028,56 +2690,220 @@
 
     async syncCartAndOpenCheckout(usePopup = false) {
       try {
-        // Validate cart has items
-        if (this.cart.length === 0) {
-          console.log('Cart is empty');
+        // Last look at stock and quantity rules - fix problems here, not on Shopify's checkout page
+        const issues = await this.revalidateCart();
+        if (issues.length > 0) {
+          this.router.go('cart');
+          this.showShopToast(t('cart.items_changed'), true);
           return;
         }
 
-        // Build direct checkout URL - bypasses cart entirely so theme can't intercept
-        // Format: /cart/{variant_id}:{quantity},{variant_id}:{quantity}
-        const lineItems = this.cart.map(item => `${item.variantId}:${item.quantity}`).join(',');
+        // Carry the price hold so checkout charges what the shop showed
+        const quote = await this.ensurePriceQuote();
 
-        if (!lineItems) {
-          console.log('Unable to process cart items');
-          return;
-        }
-
-        // Build customer info params
-        const params = new URLSearchParams();
-        if (this.customerInfo) {
-          if (this.customerInfo.email) params.set('checkout[email]', this.customerInfo.email);
-          if (this.customerInfo.firstName) params.set('checkout[shipping_address][first_name]', this.customerInfo.firstName);
-          if (this.customerInfo.lastName) params.set('checkout[shipping_address][last_name]', this.customerInfo.lastName);
-          if (this.customerInfo.address1) params.set('checkout[shipping_address][address1]', this.customerInfo.address1);
-          if (this.customerInfo.address2) params.set('checkout[shipping_address][address2]', this.customerInfo.address2);
-          if (this.customerInfo.city) params.set('checkout[shipping_address][city]', this.customerInfo.city);
-          if (this.customerInfo.zip) params.set('checkout[shipping_address][zip]', this.customerInfo.zip);
-          if (this.customerInfo.country) params.set('checkout[shipping_address][country]', this.customerInfo.country);
-        }
+        const result = await this.checkout.start({
+          lines: this.cart,
+          customer: this.customerInfo,
+          creator: this.creator,
+          discountCodes: [quote?.discountCode, this.discount?.code],
+          attributes: {
+            ...window.CBCreatorSession?.cartAttributes(),
+            [CREATOR_ATTRIBUTE]: this.creator,
+            [CREATOR_ID_ATTRIBUTE]: this.userId,
+            [SESSION_ATTRIBUTE]: this.sessionId(),
+            ...window.CBAttribution?.cartAttributes(),
+            ...(quote ? { [QUOTE_ATTRIBUTE]: quote.token } : {}),
+          },
+        });
 
-        // Direct checkout URL - goes straight to checkout without touching cart API
-        const checkoutUrl = `/cart/${lineItems}?${params.toString()}`;
+        if (!result.ok) throw Object.assign(new Error(result.error.message), { code: result.error.code });
 
         // Mark that checkout was initiated (cart will be cleared after successful purchase)
         // Keep cart in localStorage so if user backs out, they still have their items
         sessionStorage.setItem('cb_checkout_initiated', 'true');
 
         // Redirect to checkout
-        window.location.href = checkoutUrl;
+        window.location.href = result.url;
       } catch (error) {
         console.error('Checkout error:', error);
-        console.error('Checkout failed');
+        this.showShopToast(error.message || t('checkout.errors.handoff'), true);
 
-        // Reset submit button
-        const submitBtn = this.shopSection?.querySelector('.cb-shop__form-submit');
+        // Reset the submit button to its form's label
+        const form = this.shopSection?.querySelector('[data-checkout-form]');
+        const submitBtn = form?.querySelector('.cb-shop__form-submit');
         if (submitBtn) {
           submitBtn.disabled = false;
-          submitBtn.textContent = 'Continue to Payment';
+          submitBtn.textContent = submitLabel(form.dataset.express === 'true', form.dataset.method);
         }
       }
     }
 
+    // ============================================
+    // EXPRESS WALLETS
+    // ============================================
+
+    async initWallets() {
+      if (!window.CBWallets) return;
+
+      this.wallets = CBWallets.create({
+        config: { ...CONFIG.wallets, currency: currentCurrency(), domain: window.location.hostname },
+      });
+      const available = await this.wallets.detect();
+
+      // Only a configured wallet the browser can't show is hidden; unconfigured ones use the form
+      this.shopSection.querySelectorAll('[data-action="express-checkout"]').forEach(button => {
+        const method = button.dataset.method;
+        if (this.wallets.isConfigured(method)) button.hidden = !available.includes(method);
+      });
+    }
+
+    walletDetails() {
+      return CBWallets.paymentDetails({
+        lines: this.cart.map(item => ({
+          title: item.variantTitle && item.variantTitle !== t('product.one_size')
+            ? `${item.title} (${item.variantTitle})`
+            : item.title,
+          price: this.quotedPrice(item),
+          quantity: item.quantity,
+        })),
+        savings: this.discountSavings(),
+        total: this.discountedTotal(),
+        currency: currentCurrency(),
+        labels: {
+          total: t('checkout.wallet_total'),
+          savings: t('cart.savings'),
+          shipping: t('checkout.shipping_at_checkout'),
+        },
+      });
+    }
+
+    /**
+     * Collect contact and shipping details from the wallet sheet, then hand
+     * off to checkout with them prefilled. show() needs the click's user
+     * activation, so nothing is awaited before collect().
+     */
+    async startWalletCheckout(method) {
+      try {
+        this.customerInfo = await this.wallets.collect(method, this.walletDetails());
+      } catch (error) {
+        // Closing the sheet is not an error; anything else falls back to the form
+        if (error?.name === 'AbortError') return;
+
+        console.warn(`${method} wallet unavailable, using the checkout form:`, error);
+        this.router.go('checkout', { express: true, method });
+        return;
+      }
+
+      this.trackEvent('add_shipping_info', { method, country: this.customerInfo.country });
+      await this.syncCartAndOpenCheckout(true);
+    }
+
+    // ============================================
+    // ADDRESS FORM
+    // ============================================
+
+    /**
+     * The shop's shipping countries, rendered by the snippet with
+     * country_option_tags (each option carries its provinces in data-provinces)
+     */
+    countryOptionTags() {
+      return this.shopSection?.querySelector('[data-shop-countries]')?.innerHTML || '';
+    }
+
+    addressFormat(country) {
+      return { ...DEFAULT_ADDRESS_FORMAT, ...ADDRESS_FORMATS[country] };
+    }
+
+    /**
+     * Preselect the customer's (or the storefront's) country, matching the
+     * option value or its translated label
+     */
+    selectDefaultCountry(form) {
+      const select = form.querySelector('[data-checkout-country]');
+      const preferred = this.customerInfo?.country
+        || this.shopSection?.querySelector('[data-shop-countries]')?.dataset.default;
+
+      // country_option_tags separates popular countries with a "---" option
+      select.querySelectorAll('option[value="---"]').forEach(opt => { opt.disabled = true; });
+
+      const option = [...select.options].find(opt => opt.value === preferred || opt.textContent.trim() === preferred);
+      if (option && !option.disabled) select.value = option.value;
+      if (!select.value || select.value === '---') select.selectedIndex = 0;
+
+      this.applyAddressFormat(form);
+    }
+
+    /**
+     * Relabel the postal code and rebuild the province list for the selected country
+     */
+    applyAddressFormat(form) {
+      const select = form.querySelector('[data-checkout-country]');
+      const zipInput = form.querySelector('[data-checkout-zip]');
+      const provinceSelect = form.querySelector('[data-checkout-province]');
+      const format = this.addressFormat(select.value);
+
+      zipInput.hidden = !format.zip;
+      zipInput.disabled = !format.zip;
+      if (format.zip) {
+        const label = t(`checkout.zip_labels.${format.zip}`);
+        zipInput.placeholder = format.zipRequired ? label : t('checkout.optional', { label });
+        zipInput.setAttribute('aria-label', label);
+        zipInput.required = format.zipRequired;
+      }
+
+      let provinces = [];
+      try {
+        provinces = JSON.parse(select.selectedOptions[0]?.dataset.provinces || '[]');
+      } catch {
+        provinces = [];
+      }
+
+      const provinceLabel = t(`checkout.province_labels.${format.province}`);
+      provinceSelect.innerHTML = `
+        <option value="" disabled selected>${provinceLabel}</option>
+        ${provinces.map(([value, name]) => `<option value="${value}">${name}</option>`).join('')}
+      `;
+      provinceSelect.setAttribute('aria-label', provinceLabel);
+      provinceSelect.hidden = provinces.length === 0;
+      provinceSelect.disabled = provinces.length === 0;
+      provinceSelect.required = provinces.length > 0;
+
+      if (this.customerInfo?.province && provinces.some(([value]) => value === this.customerInfo.province)) {
+        provinceSelect.value = this.customerInfo.province;
+      }
+
+      this.clearFormErrors();
+    }
+
+    validateAddressFormat(form) {
+      const format = this.addressFormat(form.querySelector('[data-checkout-country]').value);
+      const zipInput = form.querySelector('[data-checkout-zip]');
+      const provinceSelect = form.querySelector('[data-checkout-province]');
+
+      if (format.zip) {
+        const label = t(`checkout.zip_labels.${format.zip}`);
+        const zip = zipInput.value.trim();
+
+        if (!zip && format.zipRequired) {
+          this.showFormError(zipInput, t('checkout.errors.zip', { label }));
+          return false;
+        }
+
+        if (zip && format.zipPattern && !format.zipPattern.test(zip)) {
+          this.showFormError(zipInput, t('checkout.errors.zip_format', { label }));
+          return false;
+        }
+      }
+
+      if (provinceSelect.required && !provinceSelect.value) {
+        const label = t(`checkout.province_labels.${format.province}`);
+        this.showFormError(provinceSelect, t('checkout.errors.province', { label }));
+        return false;
+      }
+
+      return true;
+    }
+
     // ============================================
     // EVENT BINDING
     // ============================================
@@ -1091,37 +2917,22 @@
         const actionName = action.dataset.action;
         e.preventDefault();
 
+        // Shop actions are handled by the shop section's own listener
+        if (this.shopSection?.contains(action)) return;
+
+        if (NAV_ACTIONS[actionName]) {
+          this.router?.go(NAV_ACTIONS[actionName]);
+          return;
+        }
+
         switch (actionName) {
           case 'select-product':
-            this.handleProductSelect(e);
-            break;
           case 'quick-add':
-            this.handleQuickAdd(e);
-            break;
-          case 'back-to-browse':
-            this.showView('browse');
-            break;
-          case 'back-to-product':
-            this.showView('product');
-            break;
-          case 'show-details':
-            this.showView('details');
-            break;
-          case 'show-cart':
-            this.showView('cart');
-            break;
-          case 'add-to-cart':
-            this.handleAddToCart();
+            if (this.router) this.handleShopProductSelect(e);
             break;
           case 'toggle-accordion':
             this.handleAccordionToggle(e);
             break;
-          case 'update-quantity':
-            this.handleQuantityUpdate(e);
-            break;
-          case 'checkout':
-            this.handleCheckout();
-            break;
           case 'show-mailing':
             this.showEmailModal();
             break;
@@ -1131,13 +2942,6 @@
         }
       });
 
-      // Size button clicks
-      this.page.addEventListener('click', (e) => {
-        if (e.target.classList.contains('cb-size-btn') && !e.target.disabled) {
-          this.handleSizeSelect(e.target.dataset.size);
-        }
-      });
-
       // Link click tracking
       this.page.querySelectorAll('.cb-link-card').forEach(link => {
         link.addEventListener('click', () => {
@@ -1154,422 +2958,1002 @@
         });
       });
 
-      // Email signup form
-      const emailForm = document.getElementById('emailSignupForm');
-      if (emailForm) {
-        emailForm.addEventListener('submit', (e) => this.handleEmailSignup(e));
+      // Email signup form
+      const emailForm = document.getElementById('emailSignupForm');
+      if (emailForm) {
+        emailForm.addEventListener('submit', (e) => this.handleEmailSignup(e));
+      }
+    }
+
+    // ============================================
+    // CART MANAGEMENT
+    // ============================================
+
+    cartStorage() {
+      return CART_PERSISTENCE.mode === 'session' ? sessionStorage : localStorage;
+    }
+
+    cartStorageKey() {
+      return `${CART_STORAGE_PREFIX}:${this.creator || 'shop'}`;
+    }
+
+    /**
+     * Stored snapshot for this creator, migrated to the current version.
+     * The un-namespaced key from earlier versions moves to this creator once.
+     */
+    readCartSnapshot() {
+      const storage = this.cartStorage();
+      const key = this.cartStorageKey();
+
+      try {
+        const legacy = localStorage.getItem(LEGACY_CART_STORAGE_KEY);
+        if (legacy !== null) {
+          localStorage.removeItem(LEGACY_CART_STORAGE_KEY);
+          if (storage.getItem(key) === null) storage.setItem(key, legacy);
+        }
+
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        if (!data) return null;
+
+        const snapshot = migrateCartSnapshot(data, this.creator);
+        if (snapshot !== data) storage.setItem(key, JSON.stringify(snapshot));
+        return snapshot;
+      } catch {
+        return null;
+      }
+    }
+
+    loadCart() {
+      // Snapshot of the last Shopify cart response, used until /cart.js answers
+      const snapshot = this.readCartSnapshot();
+      if (!snapshot) return [];
+
+      if (CART_PERSISTENCE.mode === 'ttl' && Date.now() - snapshot.savedAt > CART_PERSISTENCE.ttl) {
+        this.clearCartSnapshot();
+        this.cartExpired = true;
+        return [];
+      }
+
+      // Prices are in the snapshot's currency - skip it after a country/currency switch
+      return snapshot.currency === currentCurrency() ? snapshot.items || [] : [];
+    }
+
+    saveCart() {
+      // Snapshot only - writes go through the Ajax Cart API
+      try {
+        this.cartStorage().setItem(this.cartStorageKey(), JSON.stringify({
+          version: CART_SNAPSHOT_VERSION,
+          creator: this.creator,
+          currency: currentCurrency(),
+          items: this.cart,
+          savedAt: Date.now(),
+        }));
+      } catch {
+        // Storage full or unavailable - the Shopify cart still has the lines
+      }
+      this.updateCartCount();
+    }
+
+    clearCartSnapshot() {
+      this.cartStorage().removeItem(this.cartStorageKey());
+    }
+
+    /**
+     * First creator page view in this browser session
+     */
+    isNewVisit() {
+      const key = `cb_visit:${this.creator || 'shop'}`;
+      if (sessionStorage.getItem(key)) return false;
+
+      sessionStorage.setItem(key, '1');
+      return true;
+    }
+
+    // ============================================
+    // WELCOME BACK
+    // ============================================
+
+    /**
+     * Offer the bag a returning shopper left behind. Lines still in the
+     * Shopify cart only need a "View bag"; lines the cart lost (expired
+     * cart, cleared cookies) can be added back.
+     */
+    showWelcomeBack() {
+      const previous = this.returningCart || [];
+      this.returningCart = null;
+
+      const banner = this.shopSection?.querySelector('[data-shop-welcome]');
+      const count = previous.reduce((sum, item) => sum + item.quantity, 0);
+      if (!banner || count === 0) return;
+
+      const inCart = new Set(this.cart.map(item => String(item.variantId)));
+      this.missingCartItems = previous.filter(item => !inCart.has(String(item.variantId)));
+
+      banner.querySelector('[data-shop-welcome-text]').textContent = t('cart.welcome_back', { count });
+      banner.querySelector('[data-shop-welcome-restore]').textContent =
+        this.missingCartItems.length > 0 ? t('cart.restore') : t('cart.view_bag');
+      banner.hidden = false;
+    }
+
+    hideWelcomeBack() {
+      const banner = this.shopSection?.querySelector('[data-shop-welcome]');
+      if (banner) banner.hidden = true;
+      this.missingCartItems = [];
+    }
+
+    async restoreCart() {
+      const missing = this.missingCartItems || [];
+      this.hideWelcomeBack();
+
+      if (missing.length > 0) {
+        try {
+          const response = await this.cartRequest(`${routes.cart_add_url}.js`, {
+            items: missing.map(item => ({
+              id: item.variantId,
+              quantity: item.quantity,
+              ...(item.creator ? { properties: { _creator: item.creator } } : {}),
+            })),
+          });
+
+          publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cb-commerce', cartData: response });
+        } catch (err) {
+          console.error('Failed to restore cart:', err);
+          this.showShopToast(t('cart.restore_error'), true);
+        }
+
+        await this.refreshCart();
+      }
+
+      this.router?.go('cart');
+    }
+
+    updateCartCount() {
+      const count = this.cart.reduce((sum, item) => sum + item.quantity, 0);
+      const countEls = this.page.querySelectorAll('[data-cart-count]');
+
+      countEls.forEach(el => {
+        el.textContent = count;
+        el.style.display = count > 0 ? 'flex' : 'none';
+      });
+    }
+
+    // ============================================
+    // SHOPIFY AJAX CART
+    // ============================================
+
+    /**
+     * Map a Shopify Ajax Cart line item to the shape the cart views render
+     */
+    toCartItem(line) {
+      return {
+        key: line.key,
+        id: line.product_id,
+        variantId: line.variant_id,
+        handle: line.handle,
+        title: line.product_title,
+        price: line.final_price / 100,
+        variantTitle: line.product_has_only_default_variant ? t('product.one_size') : line.variant_title,
+        image: line.image || '',
+        quantity: line.quantity,
+        creator: line.properties?._creator || '',
+      };
+    }
+
+    async refreshCart(options = {}) {
+      try {
+        const response = await fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } });
+        if (!response.ok) throw new Error(`Cart request failed (${response.status})`);
+
+        let cart = await response.json();
+        if (this.cartExpired) cart = await this.removeExpiredLines(cart);
+        this.applyCartState(cart, options);
+      } catch (err) {
+        console.error('Failed to load cart:', err);
+      }
+
+      // First hydration of a returning visit compares the stored bag with the live cart
+      if (this.returningCart) this.showWelcomeBack();
+    }
+
+    /**
+     * The 'ttl' policy expired this creator's bag: its lines leave the
+     * Shopify cart as well, or the next /cart.js would bring them back.
+     * Lines added from other creators or the storefront stay.
+     */
+    async removeExpiredLines(cart) {
+      this.cartExpired = false;
+
+      const expired = (cart.items || []).filter(line => this.creator && line.properties?._creator === this.creator);
+      if (expired.length === 0) return cart;
+
+      try {
+        const updated = await this.cartRequest(`${routes.cart_update_url}.js`, {
+          updates: Object.fromEntries(expired.map(line => [line.key, 0])),
+        });
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cb-commerce', cartData: updated });
+        return updated;
+      } catch (err) {
+        console.error('Failed to remove expired bag lines:', err);
+        return cart;
+      }
+    }
+
+    /**
+     * @param {Object} cart - /cart.js (or /cart/change.js) response
+     * @param {Object} [options]
+     * @param {boolean} [options.fromTab] - state came from another tab; skipped
+     *   when nothing changed and never re-broadcast
+     */
+    applyCartState(cart, { fromTab = false } = {}) {
+      const signature = this.cartSignature(cart);
+      const changed = signature !== this.cartStateSignature;
+      if (fromTab && !changed) return;
+
+      this.cartStateSignature = signature;
+      this.cartStateAt = Date.now();
+      if (!fromTab && changed) this.broadcastCart(cart);
+
+      this.cart = (cart.items || []).map(line => this.toCartItem(line));
+      this.saveCart();
+      this.updateShopCartBadge();
+
+      // A quote only covers the exact lines it was issued for
+      if (this.priceQuote && !this.hasValidQuote()) {
+        this.clearPriceQuote();
+        if (['cart', 'checkout'].includes(this.router?.current)) this.ensurePriceQuote();
+      }
+
+      const cartDrawer = document.querySelector('cart-drawer');
+      if (cartDrawer) cartDrawer.classList.toggle('is-empty', this.cart.length === 0);
+
+      if (this.router?.current === 'cart') {
+        this.renderShopCart();
+      } else if (this.router?.current === 'checkout') {
+        // Another tab emptied the bag under the checkout form
+        if (this.cart.length === 0) this.router.go('cart');
+        else this.renderTotals();
+      } else if (this.router?.current === 'product') {
+        // Stock left to add depends on what is already in the cart
+        this.updatePurchaseControls();
+      }
+
+      // Savings depend on the lines - re-check the applied (or queued) code
+      const code = this.discount?.code || this.pendingDiscountCode;
+      if (code && this.cart.length > 0) this.validateDiscount(code, { silent: true });
+    }
+
+    async cartRequest(url, payload) {
+      const body = JSON.stringify({
+        ...payload,
+        sections: CART_SECTIONS,
+        sections_url: window.location.pathname,
+      });
+
+      // Other tabs' states wait until this write lands (see handleCartMessage)
+      this.cartWrites = (this.cartWrites || 0) + 1;
+      let data;
+      try {
+        const response = await fetch(url, { ...fetchConfig(), ...{ body } });
+        data = await response.json();
+      } finally {
+        this.cartWrites -= 1;
+        if (this.cartWrites === 0 && this.cartSyncStale) {
+          this.cartSyncStale = false;
+          this.refreshCart({ fromTab: true });
+        }
+      }
+
+      if (data.status) {
+        publish(PUB_SUB_EVENTS.cartError, {
+          source: 'cb-commerce',
+          errors: data.errors || data.description,
+          message: data.message,
+        });
+        throw new Error(data.description || data.message || window.cartStrings?.error);
+      }
+
+      this.renderCartSections(data.sections);
+      return data;
+    }
+
+    renderCartSections(sections) {
+      if (!sections) return;
+
+      // The drawer renders itself (and the bubble) like after a product-form add,
+      // but stays closed - the shop has its own bag view
+      const cartDrawer = document.querySelector('cart-drawer');
+      if (cartDrawer?.renderContents && sections['cart-drawer']) {
+        cartDrawer.renderContents({ sections }, { open: false });
+        return;
+      }
+
+      CART_SECTIONS.forEach(id => {
+        const target = document.getElementById(id);
+        if (!target || !sections[id]) return;
+
+        const source = new DOMParser().parseFromString(sections[id], 'text/html').querySelector('.shopify-section');
+        const mount = target.querySelector('.shopify-section') || target;
+        if (source) mount.innerHTML = source.innerHTML;
+      });
+    }
+
+    async addCartLine(variantId, quantity = 1) {
+      const line = { id: variantId, quantity };
+      if (this.creator) line.properties = { _creator: this.creator };
+
+      const response = await this.cartRequest(`${routes.cart_add_url}.js`, { items: [line] });
+      await this.refreshCart();
+
+      publish(PUB_SUB_EVENTS.cartUpdate, {
+        source: 'cb-commerce',
+        productVariantId: variantId,
+        cartData: response,
+      });
+
+      return response;
+    }
+
+    async changeCartLine(index, quantity) {
+      let item = this.cart[index];
+      if (!item) return;
+
+      let cart;
+      try {
+        cart = await this.cartRequest(`${routes.cart_change_url}.js`, { id: item.key, quantity });
+      } catch (err) {
+        // Another tab replaced the line: retry against the same variant in the fresh cart
+        await this.refreshCart({ fromTab: true });
+        const current = this.cart.find(line => String(line.variantId) === String(item.variantId));
+        if (!current || current.key === item.key) throw err;
+
+        item = current;
+        cart = await this.cartRequest(`${routes.cart_change_url}.js`, { id: item.key, quantity });
       }
+      this.applyCartState(cart);
+
+      publish(PUB_SUB_EVENTS.cartUpdate, {
+        source: 'cb-commerce',
+        variantId: item.variantId,
+        cartData: cart,
+      });
+
+      return cart;
     }
 
     // ============================================
-    // VIEW MANAGEMENT
+    // CROSS-TAB SYNC
     // ============================================
 
-    showView(viewName) {
-      // Hide all views
-      this.page.querySelectorAll('[data-view-content]').forEach(view => {
-        view.style.display = 'none';
-        view.classList.remove('cb-view--animate');
+    /**
+     * Keep every open creator tab on the same cart.
+     *
+     * Merge rules - the Shopify cart is the only state that counts:
+     * - A tab that writes broadcasts the cart Shopify returned; other tabs
+     *   apply it unless they already hold a newer state.
+     * - A tab with its own write in flight doesn't apply broadcasts; it
+     *   re-reads /cart.js once the write lands, so both edits survive.
+     * - Quantity edits go to the line key; if another tab replaced that line,
+     *   the edit is retried on the same variant (changeCartLine). A line
+     *   another tab removed stays removed.
+     *
+     * BroadcastChannel when available, otherwise the snapshot's storage event.
+     */
+    initCartSync() {
+      this.tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+      if ('BroadcastChannel' in window) {
+        this.cartChannel = new BroadcastChannel(CART_SYNC_CHANNEL);
+        this.cartChannel.addEventListener('message', (event) => this.handleCartMessage(event.data));
+        return;
+      }
+
+      window.addEventListener('storage', (event) => {
+        if (event.key === this.cartStorageKey()) this.handleCartMessage({ type: 'cart', cart: null, at: Date.now() });
       });
+    }
 
-      // Show target view
-      const targetView = this.page.querySelector(`[data-view-content="${viewName}"]`);
-      if (targetView) {
-        targetView.style.display = 'block';
-        // Trigger animation
-        requestAnimationFrame(() => {
-          targetView.classList.add('cb-view--animate');
-        });
+    cartSignature(cart) {
+      const lines = (cart.items || []).map(line => `${line.key}:${line.quantity}`).join(',');
+      return `${cart.token || ''}|${lines}|${cart.total_price}`;
+    }
+
+    broadcastCart(cart) {
+      if (!this.cartChannel) return;
+
+      try {
+        this.cartChannel.postMessage({ type: 'cart', cart, at: this.cartStateAt, tabId: this.tabId });
+      } catch (err) {
+        console.warn('Cart sync broadcast failed:', err);
       }
+    }
 
-      // Update page state
-      this.page.dataset.view = viewName;
-      this.currentView = viewName;
+    handleCartMessage(message) {
+      if (message?.type !== 'cart' || message.tabId === this.tabId) return;
 
-      // Scroll to top of content
-      const contentArea = this.page.querySelector('.cb-content-area');
-      if (contentArea) {
-        contentArea.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      if (this.cartWrites > 0) {
+        this.cartSyncStale = true;
+        return;
       }
 
-      // Render cart if showing cart view
-      if (viewName === 'cart') {
-        this.renderCartView();
+      if (message.at && message.at < (this.cartStateAt || 0)) return;
+
+      // Storage events carry no cart - read it from Shopify
+      if (message.cart) {
+        this.applyCartState(message.cart, { fromTab: true });
+      } else {
+        clearTimeout(this.cartSyncTimer);
+        this.cartSyncTimer = setTimeout(async () => {
+          await this.refreshCart({ fromTab: true });
+          this.refreshCartSections();
+        }, 150);
+        return;
       }
 
-      // Track view change
-      this.trackEvent('view_change', { view: viewName });
+      this.refreshCartSections();
+    }
+
+    /**
+     * Cart drawer and header bubble for a state that arrived without a Section Rendering payload
+     */
+    async refreshCartSections() {
+      try {
+        const response = await fetch(`${window.location.pathname}?sections=${CART_SECTIONS.join(',')}`);
+        if (response.ok) this.renderCartSections(await response.json());
+      } catch (err) {
+        console.warn('Cart sections refresh failed:', err);
+      }
     }
 
     // ============================================
-    // PRODUCT SELECTION
+    // INVENTORY & QUANTITY RULES
     // ============================================
 
-    handleProductSelect(e) {
-      const card = e.target.closest('.cb-product-card');
-      if (!card) return;
+    /**
+     * Per-variant purchase limits, seeded from the embedded product JSON and
+     * refreshed from the product.cb-limits template right before checkout
+     * (both render snippets/cb-variant-limits.liquid). `max` is the tighter of
+     * the quantity rule max and the published stock, which is only there for
+     * low-stock variants that can't oversell.
+     */
+    indexShopVariants() {
+      this.variantLimits = {};
+
+      this.shopSection.querySelectorAll('.cb-shop__product-data').forEach(script => {
+        try {
+          const product = JSON.parse(script.textContent);
+          (product.variants || []).forEach(variant => this.setVariantLimits(product.handle, variant));
+        } catch (e) {
+          // Ignore JSON parse errors
+        }
+      });
+    }
 
-      // Get product data from embedded JSON
-      const dataScript = card.querySelector('.cb-product-data');
-      if (!dataScript) return;
+    setVariantLimits(handle, variant) {
+      const previous = this.variantLimits[variant.id] || {};
+      const rule = variant.quantity_rule;
+      const available = variant.available !== false;
+
+      // A payload without stock or rules keeps what the page already knew
+      let stock = 'stock' in variant ? variant.stock : previous.stock ?? null;
+      if (!('stock' in variant) && available && stock === 0) stock = null;
+
+      const ruleMax = rule ? rule.max ?? null : previous.ruleMax ?? null;
+      const caps = [ruleMax, stock].filter(cap => cap != null);
+
+      this.variantLimits[variant.id] = {
+        handle,
+        available,
+        stock,
+        ruleMax,
+        min: rule?.min || previous.min || 1,
+        increment: rule?.increment || previous.increment || 1,
+        max: caps.length ? Math.min(...caps) : null,
+      };
+    }
 
-      try {
-        const productData = JSON.parse(dataScript.textContent);
-        this.selectedProduct = productData;
-        this.selectedSize = null;
+    /**
+     * Limits for adding more of a variant, net of what is already in the cart
+     */
+    purchaseLimits(variant) {
+      const limits = this.variantLimits?.[variant.id] || { min: 1, max: null, increment: 1 };
+      if (limits.max == null) return limits;
 
-        this.renderProductView();
-        this.showView('product');
+      const inCart = this.cart
+        .filter(item => String(item.variantId) === String(variant.id))
+        .reduce((sum, item) => sum + item.quantity, 0);
 
-        // Track product click
-        this.trackEvent('product_click', { product_id: productData.id });
-      } catch (err) {
-        console.error('Failed to parse product data:', err);
-      }
+      return { ...limits, max: Math.max(0, limits.max - inCart) };
     }
 
-    handleQuickAdd(e) {
-      e.stopPropagation();
-      const card = e.target.closest('.cb-product-card');
-      if (!card) return;
+    /**
+     * Largest valid quantity at or below the requested one (0 when none is)
+     */
+    snapQuantity(quantity, { min, max, increment }) {
+      let snapped = Math.floor(quantity / increment) * increment;
+      if (max != null) snapped = Math.min(snapped, Math.floor(max / increment) * increment);
+      return snapped < min ? 0 : snapped;
+    }
 
-      // Get product data
-      const dataScript = card.querySelector('.cb-product-data');
-      if (!dataScript) return;
+    lineIssue(item) {
+      const limits = this.variantLimits?.[item.variantId];
+      if (!limits) return null;
 
-      try {
-        const productData = JSON.parse(dataScript.textContent);
-        this.selectedProduct = productData;
-        this.selectedSize = null;
+      if (limits.removed || !limits.available) return { type: 'sold_out', quantity: 0 };
 
-        this.renderProductView();
-        this.showView('product');
-      } catch (err) {
-        console.error('Failed to parse product data:', err);
+      const quantity = this.snapQuantity(item.quantity, limits);
+      if (quantity === item.quantity) return null;
+
+      if (quantity === 0) {
+        // Below the rule minimum - round up when stock allows it
+        const canMeetMin = item.quantity < limits.min && (limits.max == null || limits.max >= limits.min);
+        return canMeetMin ? { type: 'rule', quantity: limits.min } : { type: 'sold_out', quantity: 0 };
       }
+
+      return { type: limits.max != null && item.quantity > limits.max ? 'reduced' : 'rule', quantity };
     }
 
-    renderProductView() {
-      if (!this.selectedProduct) return;
+    renderLineIssue(issue, index, limits) {
+      const messages = {
+        sold_out: limits?.removed ? t('cart.no_longer_available') : t('cart.sold_out'),
+        reduced: t('cart.only_available', { count: limits?.max }),
+        rule: t('cart.multiples_of', { increment: limits?.increment, min: limits?.min }),
+      };
+      const fix = issue.quantity === 0 ? t('cart.remove') : t('cart.update_to', { quantity: issue.quantity });
 
-      const product = this.selectedProduct;
+      return `
+        <p class="cb-shop__cart-issue" role="alert">
+          ${messages[issue.type]}
+          <button type="button" class="cb-shop__cart-fix" data-fix-index="${index}" data-fix-quantity="${issue.quantity}">${fix}</button>
+        </p>
+      `;
+    }
 
-      // Update title and price
-      const titleEl = document.getElementById('productViewTitle');
-      const priceEl = document.getElementById('productViewPrice');
-      if (titleEl) titleEl.textContent = product.title;
-      if (priceEl) priceEl.textContent = `$${product.price.toFixed(2)}`;
+    cartIssues() {
+      return this.cart
+        .map((item, index) => ({ item, index, issue: this.lineIssue(item) }))
+        .filter(entry => entry.issue);
+    }
 
-      // Render carousel
-      const carousel = document.getElementById('productCarousel');
-      if (carousel && product.images && product.images.length > 0) {
-        carousel.innerHTML = product.images.map((img, i) => `
-          <div class="cb-carousel-slide ${i === 0 ? 'active' : ''}" data-index="${i}">
-            <img src="${img}" alt="${product.title}" loading="lazy">
-          </div>
-        `).join('');
+    blockCheckoutForIssues() {
+      if (this.cartIssues().length === 0) return false;
 
-        // Setup carousel interaction
-        this.initCarousel(carousel);
-      }
+      if (this.router.current !== 'cart') this.router.go('cart');
+      this.showShopToast(t('cart.fix_items'), true);
+      return true;
+    }
 
-      // Render carousel dots
-      const dotsContainer = document.getElementById('carouselDots');
-      if (dotsContainer && product.images && product.images.length > 1) {
-        dotsContainer.innerHTML = product.images.map((_, i) => `
-          <button class="cb-carousel-dot ${i === 0 ? 'active' : ''}" data-index="${i}"></button>
-        `).join('');
-      }
+    /**
+     * Re-fetch availability and quantity rules for every product in the cart
+     */
+    async revalidateCart() {
+      const root = window.Shopify?.routes?.root || '/';
+      const handles = [...new Set(this.cart.map(item => item.handle).filter(Boolean))];
+
+      await Promise.all(handles.map(async handle => {
+        try {
+          const response = await fetch(`${root}products/${encodeURIComponent(handle)}?view=cb-limits`);
+          if (!response.ok && response.status !== 404) return; // keep the snapshot on server hiccups
+
+          const product = response.ok ? await response.json() : { variants: [] };
+          const ids = product.variants.map(variant => String(variant.id));
+          product.variants.forEach(variant => this.setVariantLimits(handle, variant));
+
+          // Deleted products/variants
+          this.cart
+            .filter(item => item.handle === handle && !ids.includes(String(item.variantId)))
+            .forEach(item => {
+              this.variantLimits[item.variantId] = { ...this.variantLimits[item.variantId], handle, removed: true };
+            });
+        } catch (err) {
+          console.error(`Failed to revalidate ${handle}:`, err);
+        }
+      }));
 
-      // Render size selectors
-      this.renderSizeSelector('sizeSelector');
-      this.renderSizeSelector('detailsSizeSelector');
+      return this.cartIssues();
+    }
 
-      // Update add to cart buttons
-      this.updateAddToCartButton('addToCartBtn');
-      this.updateAddToCartButton('detailsAddToCartBtn');
+    // ============================================
+    // PRICE LOCK
+    // ============================================
 
-      // Update details view
-      const detailsTitle = document.getElementById('detailsViewTitle');
-      const detailsPrice = document.getElementById('detailsViewPrice');
-      if (detailsTitle) detailsTitle.textContent = product.title;
-      if (detailsPrice) detailsPrice.textContent = `$${product.price.toFixed(2)}`;
+    /**
+     * The worker signs a time-limited quote for the current cart lines at the
+     * creator's dynamic prices. The cart shows quoted prices with a countdown
+     * while the quote holds, and checkout carries the token (plus a discount
+     * code when the quote is below Shopify's price) so the order is charged
+     * what the shop displayed. Quotes checkout can't charge (a line above
+     * Shopify's price, or savings without a discount code) are never shown,
+     * and the shop's own prices fall back to Shopify's with them (shopPrice).
+     */
+    quoteSignature() {
+      // Currency included so a country switch never reuses a quote in the old currency
+      return `${currentCurrency()}|${this.cart.map(item => `${item.variantId}:${item.quantity}`).join(',')}`;
+    }
 
-      // Update accordion content
-      const descContent = document.getElementById('accordionDescription');
-      if (descContent) {
-        descContent.innerHTML = `<p>${product.description || 'No description available.'}</p>`;
+    loadPriceQuote() {
+      try {
+        return JSON.parse(sessionStorage.getItem(QUOTE_STORAGE_KEY) || 'null');
+      } catch {
+        return null;
       }
     }
 
-    initCarousel(carousel) {
-      const slides = carousel.querySelectorAll('.cb-carousel-slide');
-      const dots = document.querySelectorAll('.cb-carousel-dot');
+    hasValidQuote() {
+      const quote = this.priceQuote;
+      return !!quote && quote.expiresAt > Date.now() && quote.signature === this.quoteSignature();
+    }
 
-      // Handle scroll to update active state
-      carousel.addEventListener('scroll', () => {
-        const scrollLeft = carousel.scrollLeft;
-        const slideWidth = slides[0]?.offsetWidth || 0;
-        const gap = 12;
-        const activeIndex = Math.round(scrollLeft / (slideWidth + gap));
+    quotedPrice(item) {
+      const price = this.hasValidQuote() ? this.priceQuote.lines[item.variantId] : null;
+      return price ?? item.price;
+    }
 
-        slides.forEach((slide, i) => {
-          slide.classList.toggle('active', i === activeIndex);
-        });
-        dots.forEach((dot, i) => {
-          dot.classList.toggle('active', i === activeIndex);
-        });
-      });
+    cartTotal() {
+      return this.cart.reduce((sum, item) => sum + (this.quotedPrice(item) * item.quantity), 0);
+    }
 
-      // Dot clicks
-      dots.forEach(dot => {
-        dot.addEventListener('click', () => {
-          const index = parseInt(dot.dataset.index, 10);
-          const slideWidth = slides[0]?.offsetWidth || 0;
-          const gap = 12;
-          carousel.scrollTo({ left: index * (slideWidth + gap), behavior: 'smooth' });
+    async ensurePriceQuote() {
+      if (!this.creator || this.cart.length === 0) {
+        this.clearPriceQuote();
+        return null;
+      }
+
+      if (this.hasValidQuote()) {
+        this.startPriceHoldTimer();
+        return this.priceQuote;
+      }
+
+      // Share one in-flight request between the cart view and checkout submit
+      if (!this.quoteRequest) {
+        this.quoteRequest = this.requestPriceQuote().finally(() => {
+          this.quoteRequest = null;
         });
-      });
+      }
+      return this.quoteRequest;
     }
 
-    renderSizeSelector(containerId) {
-      const container = document.getElementById(containerId);
-      if (!container || !this.selectedProduct) return;
+    /**
+     * A discount code can only lower Shopify's price, so a quote is held
+     * only when every line is at or below it and any savings come with a code
+     */
+    isEnforceableQuote(data) {
+      const quoted = new Map((data.lines || []).map(line => [String(line.variant_id), line.price]));
+      let savings = 0;
+
+      for (const item of this.cart) {
+        const price = quoted.get(String(item.variantId));
+        if (price == null) continue;
+        if (price > item.price + 0.005) return false;
+        savings += (item.price - price) * item.quantity;
+      }
 
-      const variants = this.selectedProduct.variants || [];
-      const sizes = [...new Set(variants.map(v => v.option1).filter(Boolean))];
+      return savings < 0.005 || !!data.discount_code;
+    }
 
-      if (sizes.length === 0) {
-        container.innerHTML = '<span style="font-size: 12px; color: var(--cb-text-muted);">One size</span>';
-        // Auto-select if one size
-        this.selectedSize = 'One Size';
-        this.updateAddToCartButton('addToCartBtn');
-        this.updateAddToCartButton('detailsAddToCartBtn');
-        return;
-      }
+    async requestPriceQuote() {
+      const signature = this.quoteSignature();
 
-      container.innerHTML = sizes.map(size => {
-        const variant = variants.find(v => v.option1 === size);
-        const available = variant?.available !== false;
-        return `
-          <button
-            class="cb-size-btn ${this.selectedSize === size ? 'selected' : ''}"
-            data-size="${size}"
-            ${!available ? 'disabled' : ''}
-          >
-            ${size}
-          </button>
-        `;
-      }).join('');
+      try {
+        const response = await fetch(`${WORKER_URL}/quote`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            creator: this.creator,
+            currency: currentCurrency(),
+            lines: this.cart.map(item => ({
+              product_id: item.id,
+              variant_id: item.variantId,
+              quantity: item.quantity,
+            })),
+          }),
+        });
+        if (!response.ok) throw new Error(`Quote request failed (${response.status})`);
+
+        const data = await response.json();
+
+        // Cart changed while the worker was answering - applyCartState asks again
+        if (signature !== this.quoteSignature()) return null;
+
+        if (!this.isEnforceableQuote(data)) {
+          console.log('Price quote not enforceable at checkout - showing Shopify prices');
+          this.clearPriceQuote();
+          this.setCreatorPricesHeld(false);
+          return null;
+        }
+
+        this.priceQuote = {
+          token: data.token,
+          discountCode: data.discount_code || null,
+          expiresAt: new Date(data.expires_at).getTime(),
+          lines: Object.fromEntries((data.lines || []).map(line => [line.variant_id, line.price])),
+          signature,
+        };
+        sessionStorage.setItem(QUOTE_STORAGE_KEY, JSON.stringify(this.priceQuote));
+
+        // Also stamp the Shopify cart so the theme's own checkout button carries it
+        this.cartRequest(`${routes.cart_update_url}.js`, {
+          attributes: { [QUOTE_ATTRIBUTE]: data.token },
+        }).catch(() => {});
+
+        this.setCreatorPricesHeld(true);
+        this.startPriceHoldTimer();
+        this.refreshQuotedPrices();
+        return this.priceQuote;
+      } catch (err) {
+        // Without a quote the cart shows (and checkout charges) Shopify prices - so does the shop
+        console.log('Price quote failed:', err);
+        this.clearPriceQuote();
+        this.setCreatorPricesHeld(false);
+        return null;
+      }
     }
 
-    handleSizeSelect(size) {
-      this.selectedSize = size;
+    clearPriceQuote() {
+      const hadQuote = !!this.priceQuote;
 
-      // Update all size selectors
-      this.page.querySelectorAll('.cb-size-btn').forEach(btn => {
-        btn.classList.toggle('selected', btn.dataset.size === size);
-      });
+      this.priceQuote = null;
+      sessionStorage.removeItem(QUOTE_STORAGE_KEY);
+      clearInterval(this.priceHoldTimer);
+      this.updatePriceHold();
 
-      // Update add to cart buttons
-      this.updateAddToCartButton('addToCartBtn');
-      this.updateAddToCartButton('detailsAddToCartBtn');
+      if (hadQuote) this.refreshQuotedPrices();
     }
 
-    updateAddToCartButton(buttonId) {
-      const btn = document.getElementById(buttonId);
-      if (!btn) return;
+    refreshQuotedPrices() {
+      if (this.router?.current === 'cart') {
+        this.renderShopCart();
+      } else if (this.router?.current === 'checkout') {
+        // Update in place so typed customer details survive
+        this.renderTotals();
+      }
+    }
 
-      if (this.selectedSize && this.selectedProduct) {
-        btn.disabled = false;
-        btn.textContent = `Add to Cart — $${this.selectedProduct.price.toFixed(2)}`;
-      } else {
-        btn.disabled = true;
-        btn.textContent = 'Select a size';
+    startPriceHoldTimer() {
+      clearInterval(this.priceHoldTimer);
+      this.updatePriceHold();
+      this.priceHoldTimer = setInterval(() => this.updatePriceHold(), 1000);
+    }
+
+    updatePriceHold() {
+      const holds = this.shopSection?.querySelectorAll('[data-price-hold]') || [];
+      const remaining = this.priceQuote ? this.priceQuote.expiresAt - Date.now() : 0;
+
+      if (this.priceQuote && remaining <= 0) {
+        // Hold lapsed - fall back to Shopify prices and ask for a fresh quote
+        this.clearPriceQuote();
+        if (['cart', 'checkout'].includes(this.router?.current)) this.ensurePriceQuote();
+        return;
       }
+
+      const seconds = Math.ceil(remaining / 1000);
+      const label = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+      holds.forEach(hold => {
+        hold.hidden = !this.hasValidQuote();
+        const timer = hold.querySelector('[data-price-hold-timer]');
+        if (timer) timer.textContent = label;
+      });
     }
 
     // ============================================
-    // CART MANAGEMENT
+    // DISCOUNT CODES
     // ============================================
 
-    loadCart() {
+    /**
+     * Codes are checked against the current lines by the worker's
+     * /discounts/validate endpoint, re-checked whenever the cart changes,
+     * and passed to Shopify checkout as ?discount=.
+     */
+    loadDiscount() {
       try {
-        // Use localStorage - cart persists across sessions
-        return JSON.parse(localStorage.getItem(CART_STORAGE_KEY) || '[]');
+        return JSON.parse(sessionStorage.getItem(DISCOUNT_STORAGE_KEY) || 'null');
       } catch {
-        return [];
+        return null;
       }
     }
 
-    saveCart() {
-      // Use localStorage - cart persists across sessions
-      localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(this.cart));
-      this.updateCartCount();
-    }
+    initDiscountFromUrl() {
+      const search = new URLSearchParams(window.location.search);
+      if (!search.has('code')) return;
 
-    updateCartCount() {
-      const count = this.cart.reduce((sum, item) => sum + item.quantity, 0);
-      const countEls = this.page.querySelectorAll('[data-cart-count]');
+      // A bare ?code applies the creator's default code
+      const code = search.get('code') || CONFIG.defaultDiscountCode;
+      if (code) this.pendingDiscountCode = code.trim().toUpperCase();
+    }
 
-      countEls.forEach(el => {
-        el.textContent = count;
-        el.style.display = count > 0 ? 'flex' : 'none';
-      });
+    discountSavings() {
+      // Savings from another currency wait for the re-check applyCartState triggers
+      if (!this.discount || this.discount.currency !== currentCurrency()) return 0;
+      return Math.min(this.discount.savings, this.cartTotal());
     }
 
-    handleAddToCart() {
-      if (!this.selectedProduct || !this.selectedSize) return;
+    discountedTotal() {
+      return Math.max(0, this.cartTotal() - this.discountSavings());
+    }
 
-      const product = this.selectedProduct;
-      const variant = product.variants?.find(v => v.option1 === this.selectedSize) || product.variants?.[0];
-
-      const cartItem = {
-        id: product.id,
-        variantId: variant?.id || product.id,
-        handle: product.handle,
-        title: product.title,
-        price: product.price,
-        size: this.selectedSize,
-        image: product.images?.[0] || '',
-        quantity: 1,
-        creator: this.creator,
-      };
+    renderDiscountField() {
+      const applied = this.discount;
 
-      // Check if item already exists
-      const existingIndex = this.cart.findIndex(
-        item => item.variantId === cartItem.variantId && item.size === cartItem.size
-      );
+      return `
+        <div class="cb-shop__discount" data-shop-discount>
+          ${applied ? `
+            <div class="cb-shop__discount-applied">
+              <span>${escapeHtml(applied.code)}${applied.title ? ` · ${escapeHtml(applied.title)}` : ''}</span>
+              <button type="button" class="cb-shop__discount-remove" data-action="shop-remove-discount" aria-label="${escapeHtml(t('discount.remove', { code: applied.code }))}">×</button>
+            </div>
+          ` : `
+            <div class="cb-shop__discount-row">
+              <input type="text" name="discount" placeholder="${t('discount.placeholder')}" autocomplete="off" autocapitalize="characters" aria-label="${t('discount.placeholder')}" value="${escapeHtml(this.pendingDiscountCode)}">
+              <button type="button" class="cb-shop__discount-apply" data-action="shop-apply-discount">${t('discount.apply')}</button>
+            </div>
+          `}
+          <p class="cb-shop__discount-message" data-shop-discount-message role="status" aria-live="polite">${escapeHtml(this.discountMessage)}</p>
+        </div>
+      `;
+    }
 
-      if (existingIndex > -1) {
-        this.cart[existingIndex].quantity += 1;
-      } else {
-        this.cart.push(cartItem);
-      }
+    /**
+     * Update every total/savings readout without re-rendering the forms
+     */
+    renderTotals() {
+      if (!this.shopSection) return;
 
-      this.saveCart();
-      this.showView('cart');
+      const savings = this.discountSavings();
+      const total = formatMoney(this.discountedTotal());
 
-      // Track add to cart
-      this.trackEvent('add_to_cart', {
-        product_id: product.id,
-        variant_id: cartItem.variantId,
-        size: this.selectedSize,
-        price: product.price,
+      this.shopSection.querySelectorAll('[data-shop-cart-total], [data-checkout-total]').forEach(el => {
+        el.textContent = total;
       });
-    }
 
-    handleQuantityUpdate(e) {
-      const btn = e.target.closest('[data-action="update-quantity"]');
-      if (!btn) return;
+      this.shopSection.querySelectorAll('[data-shop-cart-savings], [data-checkout-savings]').forEach(el => {
+        el.hidden = savings <= 0;
+        const amount = el.querySelector('[data-shop-cart-savings-amount], [data-checkout-savings-amount]');
+        if (amount) amount.textContent = `−${formatMoney(savings)}`;
+      });
 
-      const cartItem = btn.closest('[data-cart-item]');
-      if (!cartItem) return;
+      this.renderShippingMeters();
+    }
 
-      const index = parseInt(cartItem.dataset.index, 10);
-      const delta = parseInt(btn.dataset.delta, 10);
+    refreshDiscountFields() {
+      this.shopSection?.querySelectorAll('[data-shop-discount]').forEach(field => {
+        field.outerHTML = this.renderDiscountField();
+      });
+      this.renderTotals();
+    }
 
-      if (this.cart[index]) {
-        this.cart[index].quantity = Math.max(0, this.cart[index].quantity + delta);
+    async applyDiscountCode(rawCode) {
+      const code = (rawCode || '').trim().toUpperCase();
 
-        if (this.cart[index].quantity === 0) {
-          this.cart.splice(index, 1);
-        }
+      if (!code) {
+        this.discountMessage = t('discount.empty');
+        this.refreshDiscountFields();
+        return;
+      }
 
-        this.saveCart();
-        this.renderCartView();
+      if (this.cart.length === 0) {
+        this.pendingDiscountCode = code;
+        this.discountMessage = t('discount.pending');
+        this.refreshDiscountFields();
+        return;
       }
+
+      this.shopSection?.querySelectorAll('.cb-shop__discount-apply').forEach(btn => btn.classList.add('loading'));
+      await this.validateDiscount(code);
     }
 
-    renderCartView() {
-      const container = document.getElementById('cartItems');
-      const checkoutBtn = document.getElementById('checkoutBtn');
-      const summaryEl = document.getElementById('cartSummary');
-      const subtotalEl = document.getElementById('cartSubtotal');
+    async validateDiscount(code, { silent = false } = {}) {
+      const request = (this.discountRequest || 0) + 1;
+      this.discountRequest = request;
 
-      if (!container) return;
+      try {
+        const response = await fetch(`${WORKER_URL}/discounts/validate`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            creator: this.creator,
+            code,
+            currency: currentCurrency(),
+            subtotal: this.cartTotal(),
+            lines: this.cart.map(item => ({
+              product_id: item.id,
+              variant_id: item.variantId,
+              quantity: item.quantity,
+              price: this.quotedPrice(item),
+            })),
+          }),
+        });
+        if (!response.ok && response.status !== 422) throw new Error(`Discount request failed (${response.status})`);
 
-      if (this.cart.length === 0) {
-        container.innerHTML = `
-          <div class="cb-cart__empty">
-            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
-              <path d="M6 6h15l-1.5 9h-12z"/>
-              <circle cx="9" cy="20" r="1"/>
-              <circle cx="18" cy="20" r="1"/>
-              <path d="M6 6L5 3H2"/>
-            </svg>
-            <p>Your cart is empty</p>
-            <button class="cb-cart__browse-btn" data-action="back-to-browse">
-              Continue Shopping
-            </button>
-          </div>
-        `;
-        if (checkoutBtn) {
-          checkoutBtn.disabled = true;
-          checkoutBtn.textContent = 'Checkout — $0.00';
+        const data = await response.json();
+
+        // A newer request (or cart change) superseded this one
+        if (request !== this.discountRequest) return;
+
+        this.pendingDiscountCode = null;
+
+        if (data.valid) {
+          const isNew = this.discount?.code !== code;
+          this.discount = { code, title: data.title || '', savings: data.savings || 0, currency: currentCurrency() };
+          sessionStorage.setItem(DISCOUNT_STORAGE_KEY, JSON.stringify(this.discount));
+          this.discountMessage = '';
+          if (isNew) this.trackEvent('discount_applied', { code, savings: this.discount.savings });
+        } else {
+          // Only speak up if the shopper asked, or a code they had stopped applying
+          if (!silent || this.discount) this.discountMessage = data.message || t('discount.invalid', { code });
+          this.discount = null;
+          sessionStorage.removeItem(DISCOUNT_STORAGE_KEY);
         }
-        if (summaryEl) summaryEl.style.display = 'none';
-        return;
+      } catch (err) {
+        console.error('Discount validation failed:', err);
+        if (request !== this.discountRequest) return;
+        if (!silent) this.discountMessage = t('discount.error');
       }
 
-      const total = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      this.refreshDiscountFields();
+    }
 
-      container.innerHTML = this.cart.map((item, index) => `
-        <div class="cb-cart-item" data-cart-item data-index="${index}">
-          <div class="cb-cart-item__image">
-            <img src="${item.image}" alt="${item.title}">
-          </div>
-          <div class="cb-cart-item__info">
-            <p class="cb-cart-item__title">${item.title}</p>
-            <p class="cb-cart-item__price">$${item.price.toFixed(2)}</p>
-            <p class="cb-cart-item__meta">
-              ${item.creator} · Size ${item.size}
-            </p>
-          </div>
-          <div class="cb-cart-item__quantity">
-            <button class="cb-qty-btn" data-action="update-quantity" data-delta="-1" aria-label="Decrease">
-              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M5 12h14"/>
-              </svg>
-            </button>
-            <span class="cb-qty-value">${item.quantity}</span>
-            <button class="cb-qty-btn" data-action="update-quantity" data-delta="1" aria-label="Increase">
-              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M12 5v14M5 12h14"/>
-              </svg>
-            </button>
+    removeDiscount() {
+      this.discount = null;
+      this.pendingDiscountCode = null;
+      this.discountMessage = '';
+      this.discountRequest = (this.discountRequest || 0) + 1;
+      sessionStorage.removeItem(DISCOUNT_STORAGE_KEY);
+      this.refreshDiscountFields();
+    }
+
+    // ============================================
+    // FREE SHIPPING METER
+    // ============================================
+
+    /**
+     * Progress toward the market's free-shipping threshold. The qualifying
+     * subtotal is what the shopper pays for the goods: creator-priced (quoted)
+     * lines minus any discount code.
+     */
+    shippingProgress() {
+      const threshold = freeShippingThreshold();
+      if (!threshold || this.cart.length === 0) return null;
+
+      const subtotal = this.discountedTotal();
+      const remaining = Math.max(0, Math.round((threshold - subtotal) * 100) / 100);
+
+      return {
+        threshold,
+        remaining,
+        unlocked: remaining === 0,
+        percent: Math.min(100, Math.round((subtotal / threshold) * 100)),
+      };
+    }
+
+    renderShippingMeter() {
+      return `
+        <div class="cb-shop__shipping-meter" data-shipping-meter hidden>
+          <p class="cb-shop__shipping-meter-text" data-shipping-meter-text role="status" aria-live="polite"></p>
+          <div class="cb-shop__shipping-meter-track" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0" data-shipping-meter-track>
+            <span class="cb-shop__shipping-meter-bar" data-shipping-meter-bar></span>
           </div>
         </div>
-      `).join('');
+      `;
+    }
 
-      if (checkoutBtn) {
-        checkoutBtn.disabled = false;
-        checkoutBtn.textContent = `Checkout — $${total.toFixed(2)}`;
-      }
+    renderShippingMeters() {
+      const progress = this.shippingProgress();
 
-      if (summaryEl) {
-        summaryEl.style.display = 'block';
-      }
-      if (subtotalEl) {
-        subtotalEl.textContent = `$${total.toFixed(2)}`;
-      }
-    }
+      this.shopSection?.querySelectorAll('[data-shipping-meter]').forEach(meter => {
+        meter.hidden = !progress;
+        if (!progress) return;
 
-    handleCheckout() {
-      if (this.cart.length === 0) return;
+        const text = progress.unlocked
+          ? t('cart.free_shipping.unlocked')
+          : t('cart.free_shipping.remaining', { amount: formatMoney(progress.remaining) });
 
-      // Build Shopify checkout URL
-      const lineItems = this.cart.map(item => `${item.variantId}:${item.quantity}`).join(',');
-      const checkoutUrl = `/cart/${lineItems}?ref=${this.creator}`;
+        const textEl = meter.querySelector('[data-shipping-meter-text]');
+        if (textEl.textContent !== text) textEl.textContent = text;
 
-      // Track checkout
-      this.trackEvent('begin_checkout', {
-        items: this.cart.length,
-        total: this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0),
+        meter.classList.toggle('is-unlocked', progress.unlocked);
+        meter.querySelector('[data-shipping-meter-track]').setAttribute('aria-valuenow', progress.percent);
+        meter.querySelector('[data-shipping-meter-bar]').style.width = `${progress.percent}%`;
       });
-
-      // Redirect to checkout
-      window.location.href = checkoutUrl;
     }
 
     // ============================================
@@ -1820,7 +4204,7 @@
       if (!email) return;
 
       submitBtn.disabled = true;
-      submitBtn.textContent = 'Subscribing...';
+      submitBtn.textContent = t('newsletter.subscribing');
       message.textContent = '';
       message.className = 'cb-email-message';
 
@@ -1834,23 +4218,23 @@
         const data = await response.json();
 
         if (response.ok) {
-          message.textContent = data.message || 'Successfully subscribed!';
+          message.textContent = data.message || t('newsletter.success');
           message.classList.add('success');
           emailInput.value = '';
-          this.trackEvent('email_signup', { email });
+          this.trackEvent('email_signup');
 
           // Close modal after delay
           setTimeout(() => this.closeEmailModal(), 2000);
         } else {
-          message.textContent = data.error || 'Something went wrong. Please try again.';
+          message.textContent = data.error || t('newsletter.error');
           message.classList.add('error');
         }
       } catch (error) {
-        message.textContent = 'Network error. Please try again.';
+        message.textContent = t('newsletter.network_error');
         message.classList.add('error');
       } finally {
         submitBtn.disabled = false;
-        submitBtn.textContent = 'Subscribe';
+        submitBtn.textContent = t('newsletter.subscribe');
       }
     }
 
@@ -1859,104 +4243,100 @@
     // ============================================
 
     async applyDynamicPricing() {
-      if (!this.creator) return;
+      if (!this.creator || !window.CBPricing) return;
 
       try {
-        const [metricsData, productsData] = await Promise.all([
-          fetch(`${WORKER_URL}/metrics/${this.creator}`).then(r => r.ok ? r.json() : { suggested_delta: 0 }),
-          fetch(`${WORKER_URL}/creator-products/${this.creator}`).then(r => r.ok ? r.json() : { products: [] }),
-        ]);
-
-        const delta = parseFloat(metricsData.suggested_delta) / 100 || 0;
-        const creatorProducts = productsData.products || [];
-
-        // Store pricing delta for use in cart
-        this.pricingDelta = delta;
-
-        // Store in session
-        sessionStorage.setItem('creator_ref', this.creator);
-        sessionStorage.setItem('pricing_delta', delta.toString());
-        sessionStorage.setItem('creator_products', JSON.stringify(creatorProducts));
-
-        // Apply to visible product cards (browse view)
-        const productCards = this.page.querySelectorAll('.cb-product-card');
-
-        productCards.forEach(card => {
-          const productId = card.dataset.productId;
-          const variantId = card.dataset.variantId;
-          const basePrice = parseFloat(card.dataset.basePrice);
-          const priceElement = card.querySelector('.cb-product-card__price');
-          const badge = card.querySelector('.cb-product-card__badge');
-
-          if (!priceElement || !basePrice || isNaN(basePrice)) return;
-
-          // Check if product has creator commission
-          const hasCommission = creatorProducts.some(p =>
-            p.product_id === productId || p.variant_id === variantId
-          );
-
-          // Apply pricing delta
-          if (delta > 0) {
-            const newPrice = basePrice * (1 + delta / 100);
-            priceElement.textContent = `$${newPrice.toFixed(2)}`;
-          }
+        // Fetches the delta + eligible products and persists them for the storefront's creator notes
+        this.pricing = await CBPricing.fetchState(WORKER_URL, this.creator);
+        this.renderShopPrices();
+      } catch (err) {
+        console.log('Dynamic pricing failed:', err);
+      }
+    }
 
-          // Show badge if has commission
-          if (hasCommission && badge) {
-            badge.classList.add('show');
-          }
-        });
+    /**
+     * The price the shop shows for a base price. A creator price is only
+     * shown while checkout can charge it: never above Shopify's price (the
+     * quote's discount code can only lower it), and not at all once a quote
+     * for this cart was refused or failed - then every view shows Shopify's
+     * price, like the cart and checkout.
+     */
+    shopPrice(basePrice, { productId, variantId } = {}) {
+      if (!this.pricing || !this.creatorPricesHeld) return basePrice;
+      return Math.min(basePrice, CBPricing.apply(basePrice, this.pricing, { productId, variantId }));
+    }
 
-        // Apply to shop section products (horizontal scroll grid)
-        const shopProducts = this.page.querySelectorAll('.cb-shop__product');
+    setCreatorPricesHeld(held) {
+      if (this.creatorPricesHeld === held) return;
 
-        shopProducts.forEach(product => {
-          const productId = product.dataset.productId;
-          const priceElement = product.querySelector('.cb-shop__product-price');
-          const commissionBadge = product.querySelector('[data-commission-badge]');
+      this.creatorPricesHeld = held;
+      this.renderShopPrices();
+    }
 
-          if (!priceElement) return;
+    renderShopPrices() {
+      const pricing = this.pricing;
+      if (!pricing) return;
 
-          const basePrice = parseFloat(priceElement.dataset.basePrice);
-          if (!basePrice || isNaN(basePrice)) return;
+      // Apply to visible product cards (browse view)
+      const productCards = this.page.querySelectorAll('.cb-product-card');
 
-          // Check if product has creator commission
-          const hasCommission = creatorProducts.some(p =>
-            p.product_id === productId || String(p.product_id) === productId
-          );
+      productCards.forEach(card => {
+        const productId = card.dataset.productId;
+        const variantId = card.dataset.variantId;
+        const basePrice = parseFloat(card.dataset.basePrice);
+        const priceElement = card.querySelector('.cb-product-card__price');
+        const badge = card.querySelector('.cb-product-card__badge');
 
-          // Apply pricing delta
-          if (delta > 0) {
-            const newPrice = basePrice * (1 + delta / 100);
-            priceElement.textContent = `$${newPrice.toFixed(2)}`;
-          }
+        if (!priceElement || !basePrice || isNaN(basePrice)) return;
 
-          // Show commission badge if has commission
-          if (hasCommission && commissionBadge) {
-            commissionBadge.classList.add('show');
-          }
+        priceElement.textContent = formatMoney(this.shopPrice(basePrice, { productId, variantId }));
 
-          // Update embedded product data JSON
-          const dataScript = product.querySelector('.cb-shop__product-data');
-          if (dataScript) {
-            try {
-              const productData = JSON.parse(dataScript.textContent);
-              productData.price = basePrice * (1 + delta / 100);
-              // Update variant prices too
-              if (productData.variants) {
-                productData.variants.forEach(v => {
-                  v.price = v.price * (1 + delta / 100);
-                });
-              }
-              dataScript.textContent = JSON.stringify(productData);
-            } catch (e) {
-              // Ignore JSON parse errors
+        // Show badge if has commission
+        if (badge && CBPricing.isEligible(pricing, productId, variantId)) {
+          badge.classList.add('show');
+        }
+      });
+
+      // Apply to shop section products (horizontal scroll grid)
+      const shopProducts = this.page.querySelectorAll('.cb-shop__product');
+
+      shopProducts.forEach(product => {
+        const productId = product.dataset.productId;
+        const priceElement = product.querySelector('.cb-shop__product-price');
+        const commissionBadge = product.querySelector('[data-commission-badge]');
+
+        if (!priceElement) return;
+
+        const basePrice = parseFloat(priceElement.dataset.basePrice);
+        if (!basePrice || isNaN(basePrice)) return;
+
+        priceElement.textContent = formatMoney(this.shopPrice(basePrice, { productId }));
+
+        // Show commission badge if has commission
+        if (commissionBadge && CBPricing.isEligible(pricing, productId)) {
+          commissionBadge.classList.add('show');
+        }
+
+        // Update embedded product data JSON (base prices kept so re-pricing stays idempotent)
+        const dataScript = product.querySelector('.cb-shop__product-data');
+        if (dataScript) {
+          try {
+            const productData = JSON.parse(dataScript.textContent);
+            productData.basePrice = productData.basePrice ?? productData.price;
+            productData.price = this.shopPrice(productData.basePrice, { productId });
+            // Update variant prices too
+            if (productData.variants) {
+              productData.variants.forEach(v => {
+                v.basePrice = v.basePrice ?? v.price;
+                v.price = this.shopPrice(v.basePrice, { productId, variantId: v.id });
+              });
             }
+            dataScript.textContent = JSON.stringify(productData);
+          } catch (e) {
+            // Ignore JSON parse errors
           }
-        });
-      } catch (err) {
-        console.log('Dynamic pricing failed:', err);
-      }
+        }
+      });
     }
 
     // ============================================
@@ -1964,14 +4344,19 @@
     // ============================================
 
     initializeAnalytics() {
+      this.analytics.start();
+
+      // Direct visits count too, so the last touch names this creator
+      window.CBAttribution?.touchCreator(this.creator);
+
       // Track page view
       this.trackEvent('page_view');
 
-      // Track to worker for dynamic pricing
-      fetch(`${WORKER_URL}/track/${this.creator}/page`, {
+      // Page count for dynamic pricing - an aggregate, sent once consent is known either way
+      analyticsConsent().then(() => fetch(`${WORKER_URL}/track/${this.creator}/page`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-      }).catch(() => {});
+      })).catch(() => {});
 
       // Setup product view tracking with Intersection Observer
       this.setupProductViewTracking();
@@ -1998,16 +4383,39 @@
       productCards.forEach(card => observer.observe(card));
     }
 
-    trackEvent(eventType, metadata = {}) {
-      // Skip if no userId (required for analytics)
-      if (!this.userId) return;
+    /**
+     * Analytics session id; null without analytics consent, so none is created
+     */
+    sessionId() {
+      if (!window.CBConsent?.analyticsAllowed()) return null;
 
-      // Get or create session ID
       let sessionId = sessionStorage.getItem('cbio_session');
       if (!sessionId) {
         sessionId = 'cbv2_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
         sessionStorage.setItem('cbio_session', sessionId);
       }
+      return sessionId;
+    }
+
+    /**
+     * Queue an analytics event once consent is known: the full event with
+     * analytics consent, an anonymized aggregate without it
+     */
+    trackEvent(eventType, metadata = {}) {
+      // Skip if no userId (required for analytics) or without the consent gate
+      if (!this.userId || !window.CBConsent) return;
+
+      const safeMetadata = CBConsent.sanitize(metadata);
+
+      CBConsent.whenReady().then(consent => {
+        const event = this.analyticsEvent(eventType, safeMetadata);
+        this.analytics.push(consent === 'granted' ? event : CBConsent.anonymize(event));
+      });
+    }
+
+    analyticsEvent(eventType, metadata) {
+      // Get or create session ID
+      const sessionId = this.sessionId();
 
       // Detect device info
       const ua = navigator.userAgent;
@@ -2037,16 +4445,15 @@
         }
       });
 
+      // Campaign context; cb-attribution.js only recorded click ids and referrer with consent
+      const attribution = window.CBAttribution?.current();
+      if (attribution?.first || attribution?.last) event.metadata.attribution = attribution;
+
       if (Object.keys(event.metadata).length === 0) {
         delete event.metadata;
       }
 
-      fetch(`${ANALYTICS_URL}/track`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ events: [event] }),
-        keepalive: true,
-      }).catch(() => {});
+      return event;
     }
   }
 
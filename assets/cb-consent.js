@@ -0,0 +1,150 @@
+/**
+ * CreatorB Consent Gate
+ * The one path for creator tracking: the creator commerce page
+ * (cb-commerce-v2.js), the creator bio page (creator-bio-page.liquid) and
+ * the storefront tracker (snippets/tracker.liquid).
+ *
+ * Contract
+ * - Source: Shopify's Customer Privacy API (window.Shopify.customerPrivacy),
+ *   loaded on demand through Shopify.loadFeatures.
+ * - Pending: until the visitor's analytics choice is known, whenReady()
+ *   stays unresolved, so callers hold their events instead of sending them.
+ *   Regions without a consent requirement resolve straight away, the way
+ *   analyticsProcessingAllowed() reports them.
+ * - Granted: full events (session id, referrer, device).
+ * - Denied: only anonymized aggregates - anonymize() keeps the event type,
+ *   creator and product/link id, and callers create no session id. The
+ *   gate also resolves as denied when the API can't be loaded.
+ * - PII: sanitize() strips contact fields and anything that looks like an
+ *   email address from event metadata, whatever the consent state.
+ */
+
+(function() {
+  'use strict';
+
+  const LOAD_TIMEOUT = 5000;
+
+  const AGGREGATE_FIELDS = ['event_type', 'creator_id', 'product_id', 'link_id'];
+
+  const PII_KEYS = [
+    'email', 'phone', 'name', 'first_name', 'last_name', 'firstName', 'lastName',
+    'address', 'address1', 'address2', 'zip',
+  ];
+
+  const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+
+  let state = 'pending';
+  let ready = null;
+  const listeners = new Set();
+
+  function privacyApi() {
+    return window.Shopify?.customerPrivacy || null;
+  }
+
+  function readState(api) {
+    if (api.analyticsProcessingAllowed()) return 'granted';
+
+    // Without a banner to answer there's nothing to wait for
+    const choice = api.currentVisitorConsent?.().analytics;
+    if (choice === 'no' || !api.shouldShowBanner?.()) return 'denied';
+    return 'pending';
+  }
+
+  function setState(next) {
+    if (next === state) return;
+    state = next;
+    listeners.forEach(listener => listener(state));
+  }
+
+  function loadApi() {
+    return new Promise(resolve => {
+      if (privacyApi()) {
+        resolve(privacyApi());
+        return;
+      }
+      if (!window.Shopify?.loadFeatures) {
+        resolve(null);
+        return;
+      }
+
+      const timer = setTimeout(() => resolve(privacyApi()), LOAD_TIMEOUT);
+      window.Shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], error => {
+        clearTimeout(timer);
+        resolve(error ? null : privacyApi());
+      });
+    });
+  }
+
+  /**
+   * Call listener(state) whenever the visitor's choice changes; returns an unsubscribe
+   */
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Resolves with 'granted' or 'denied' once the visitor's choice is known
+   */
+  function whenReady() {
+    if (!ready) {
+      ready = loadApi().then(api => {
+        if (!api) {
+          setState('denied');
+          return;
+        }
+
+        // Fired by the cookie banner and by later changes in the privacy settings
+        document.addEventListener('visitorConsentCollected', () => setState(readState(api)));
+        setState(readState(api));
+        if (state !== 'pending') return;
+
+        return new Promise(resolve => {
+          const unsubscribe = onChange(next => {
+            if (next === 'pending') return;
+            unsubscribe();
+            resolve();
+          });
+        });
+      });
+    }
+
+    return ready.then(() => state);
+  }
+
+  function currentState() {
+    return state;
+  }
+
+  function analyticsAllowed() {
+    return state === 'granted';
+  }
+
+  /**
+   * Copy of event metadata without contact details or email-like values
+   */
+  function sanitize(metadata = {}) {
+    return Object.fromEntries(Object.entries(metadata).filter(([key, value]) => {
+      if (PII_KEYS.includes(key)) return false;
+      return !(typeof value === 'string' && EMAIL_PATTERN.test(value));
+    }));
+  }
+
+  /**
+   * Reduce an analytics event to what an aggregate count needs
+   */
+  function anonymize(event) {
+    return Object.fromEntries(AGGREGATE_FIELDS
+      .filter(field => event[field] != null)
+      .map(field => [field, event[field]]));
+  }
+
+  window.CBConsent = {
+    whenReady,
+    onChange,
+    state: currentState,
+    analyticsAllowed,
+    sanitize,
+    anonymize,
+  };
+})();
@@ -0,0 +1,358 @@
+/**
+ * CreatorB Creator Session
+ * The creator a shopper is shopping with, kept across the whole storefront.
+ * Loaded on every page (layout/theme.liquid).
+ *
+ * Contract
+ * - Start: a creator page (cb-commerce-v2.js and creator-bio-page.liquid call
+ *   start()) or any landing with `?ref=<creator>`. A ref only starts a
+ *   session when /pages/<ref> is a creator page (templates/page.cb-creator.liquid
+ *   answers with its creator_bio username). Starting again for the same
+ *   creator extends the session; another creator replaces it.
+ * - Expiry: a session lasts `ttl` from its last start (theme setting
+ *   "Creator session length", window.CB_CREATOR_SESSION). An expired or
+ *   replaced session clears that creator's pricing state (cb-pricing.js).
+ * - Readers: product and collection pages, which keep Shopify's prices and
+ *   only add a "Picked by @creator" note (snippets/dynamic-pricing.liquid),
+ *   and the Shopify cart. The session is written to the
+ *   _cb_session_creator, _cb_landing_page and _cb_creator_session cart
+ *   attributes, which the cart drawer shows and checkout carries to
+ *   assets/cb-purchase-pixel.js; they're cleared again when the session ends.
+ *   _cb_creator belongs to the creator shop's checkout hand-off and is never
+ *   touched here. The session id is only written with analytics consent
+ *   (cb-consent.js).
+ * - Lines: adds to cart while a session is active carry a hidden `_creator`
+ *   line property. Cart add forms (product-form.js, quick add, plain posts)
+ *   get a hidden properties[_creator] input when the session starts, and on
+ *   submit for forms rendered later; section scripts posting to
+ *   /cart/add.js add lineProperties() / appendLineProperties() themselves.
+ *   Adds that already carry `_creator` keep it.
+ * - Bar: snippets/cb-creator-bar.liquid renders a hidden "Shopping with
+ *   @creator" bar; this file fills it in and links it back to the creator
+ *   page. Dismissing it hides it for the rest of the session.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'cb_creator_session';
+  const SYNC_STORAGE_KEY = 'cb_creator_session_synced';
+  const CREATOR_ATTRIBUTE = '_cb_session_creator';
+  const LANDING_ATTRIBUTE = '_cb_landing_page';
+  const SESSION_ATTRIBUTE = '_cb_creator_session';
+  const CREATOR_PROPERTY = '_creator';
+
+  const DEFAULT_RULES = {
+    ttl: 24 * 60 * 60 * 1000,
+  };
+
+  let rules = { ...DEFAULT_RULES, ...window.CB_CREATOR_SESSION };
+
+  function configure(overrides = {}) {
+    rules = { ...DEFAULT_RULES, ...overrides };
+    return rules;
+  }
+
+  // Creator handles as they appear in page URLs
+  function normalizeCreator(creator) {
+    const handle = String(creator || '').trim().replace(/^@/, '').toLowerCase();
+    return /^[a-z0-9._-]+$/.test(handle) ? handle : null;
+  }
+
+  function creatorPageUrl(creator) {
+    const root = (window.routes?.root_url || '/').replace(/\/?$/, '/');
+    return `${root}pages/${creator}`;
+  }
+
+  function newSessionId() {
+    return 'cbs_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  function isExpired(session, now = Date.now()) {
+    return !session || !session.expiresAt || now >= session.expiresAt;
+  }
+
+  function readStored() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  function write(session) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch {
+      // Storage unavailable (private mode) - the session lasts for this page only
+    }
+  }
+
+  /**
+   * Drop the stored session and everything that was derived from it
+   */
+  function end() {
+    const stored = readStored();
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Storage unavailable (private mode) - nothing was stored
+    }
+    clearPending = true;
+
+    if (stored && window.CBPricing && CBPricing.load()?.creator === stored.creator) CBPricing.clear();
+    syncCart();
+    stampForms();
+  }
+
+  /**
+   * The active session, or null; an expired one is ended on read
+   */
+  function current(now = Date.now()) {
+    const stored = readStored();
+    if (!stored) return null;
+
+    if (isExpired(stored, now)) {
+      end();
+      return null;
+    }
+    return stored;
+  }
+
+  function creator() {
+    return current()?.creator || null;
+  }
+
+  /**
+   * Start (or extend) the session for a creator. `url` is the creator page
+   * the bar links back to; `source` is 'page' or 'ref'.
+   */
+  function start(creatorHandle, { url = null, source = 'page', now = Date.now() } = {}) {
+    const handle = normalizeCreator(creatorHandle);
+    if (!handle) return null;
+
+    const active = current(now);
+    if (active && active.creator !== handle) end();
+
+    const same = active?.creator === handle ? active : null;
+    const session = {
+      id: same?.id || newSessionId(),
+      creator: handle,
+      url: url || same?.url || creatorPageUrl(handle),
+      landingPage: same?.landingPage || window.location.pathname,
+      source: same?.source === 'page' ? 'page' : source,
+      startedAt: same?.startedAt || now,
+      expiresAt: now + rules.ttl,
+      dismissed: same?.dismissed || false,
+    };
+
+    write(session);
+    syncCart();
+    stampForms();
+    renderBar();
+    return session;
+  }
+
+  /**
+   * Start a session from a `?ref=` landing once the ref is known to be a
+   * creator, and credit the landing's attribution touch to that creator;
+   * resolves with the session or null
+   */
+  async function startFromLanding(href = window.location.href) {
+    const ref = normalizeCreator(new URL(href).searchParams.get('ref'));
+    if (!ref) return null;
+
+    const active = current();
+    const confirmed = active?.creator === ref ? { creator: ref } : await lookupCreator(ref);
+    if (!confirmed?.creator) return null;
+
+    window.CBAttribution?.touchCreator(confirmed.creator);
+    return start(confirmed.creator, { url: confirmed.url, source: 'ref' });
+  }
+
+  /**
+   * { creator, url } when /pages/<ref> is a creator page, otherwise null
+   */
+  async function lookupCreator(ref) {
+    try {
+      const response = await fetch(`${creatorPageUrl(ref)}?view=cb-creator`, {
+        headers: { Accept: 'application/json' },
+      });
+      return response.ok ? await response.json() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function dismissBar() {
+    const session = current();
+    if (!session) return;
+
+    write({ ...session, dismissed: true });
+    renderBar();
+  }
+
+  function renderBar() {
+    const bar = document.querySelector('[data-creator-bar]');
+    if (!bar) return;
+
+    const session = current();
+    bar.hidden = !session || session.dismissed;
+    if (bar.hidden) return;
+
+    bar.querySelector('[data-creator-bar-link]').href = session.url;
+    bar.querySelector('[data-creator-bar-name]').textContent = `@${session.creator}`;
+  }
+
+  function initBar() {
+    const bar = document.querySelector('[data-creator-bar]');
+    if (!bar) return;
+
+    bar.querySelector('[data-creator-bar-dismiss]')?.addEventListener('click', dismissBar);
+    renderBar();
+  }
+
+  function lineProperties() {
+    const handle = creator();
+    return handle ? { [CREATOR_PROPERTY]: handle } : {};
+  }
+
+  /**
+   * Add the session's line properties to a FormData cart add; a `_creator`
+   * already on it is kept
+   */
+  function appendLineProperties(formData) {
+    Object.entries(lineProperties()).forEach(([key, value]) => {
+      if (!formData.has(`properties[${key}]`)) formData.append(`properties[${key}]`, value);
+    });
+    return formData;
+  }
+
+  /**
+   * The session's cart attributes; empty values remove them from the cart
+   */
+  function cartAttributes() {
+    const session = current();
+    const consented = Boolean(window.CBConsent?.analyticsAllowed());
+
+    return {
+      [CREATOR_ATTRIBUTE]: session?.creator || '',
+      [LANDING_ATTRIBUTE]: session?.landingPage || '',
+      [SESSION_ATTRIBUTE]: session && consented ? session.id : '',
+    };
+  }
+
+  function cartToken() {
+    const match = document.cookie.match(/(?:^|;\s*)cart=([^;]+)/);
+    return match ? match[1] : null;
+  }
+
+  let syncTimer = null;
+  let clearPending = false;
+
+  /**
+   * Mirror the session's creator onto the Shopify cart (an empty value
+   * removes the attribute). Same batching and skip rules as cb-attribution.js.
+   */
+  function syncCart() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(writeCartAttribute, 100);
+  }
+
+  function writeCartAttribute() {
+    const token = cartToken();
+    if (!token || !window.routes?.cart_update_url) return;
+
+    const attributes = cartAttributes();
+    const signature = `${token}|${JSON.stringify(attributes)}`;
+    const previous = sessionStorage.getItem(SYNC_STORAGE_KEY);
+    if (previous === signature) return;
+
+    // Nothing of ours to clear on this cart
+    if (!attributes[CREATOR_ATTRIBUTE] && !clearPending && !previous?.startsWith(`${token}|`)) return;
+    clearPending = false;
+
+    fetch(`${window.routes.cart_update_url}.js`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ attributes }),
+    })
+      .then(response => {
+        if (response.ok) sessionStorage.setItem(SYNC_STORAGE_KEY, signature);
+      })
+      .catch(() => {});
+  }
+
+  function isCartAdd(url) {
+    return /\/cart\/add(\.js)?(\?|$)/.test(new URL(url, window.location.href).pathname);
+  }
+
+  /**
+   * Keep a cart add form's hidden properties[_creator] input in step with
+   * the session. Inputs the form brought itself are left alone.
+   */
+  function stampForm(form) {
+    const name = `properties[${CREATOR_PROPERTY}]`;
+    const existing = form.querySelector(`input[name="${name}"]`);
+    if (existing && !existing.hasAttribute('data-creator-session')) return;
+
+    const handle = creator();
+    if (!handle) {
+      existing?.remove();
+      return;
+    }
+
+    const input = existing || document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = handle;
+    input.setAttribute('data-creator-session', '');
+    if (!existing) form.appendChild(input);
+  }
+
+  function stampForms() {
+    document.querySelectorAll('form[action]').forEach(form => {
+      if (isCartAdd(form.action)) stampForm(form);
+    });
+  }
+
+  // Forms rendered after the session started (quick add modals, section re-renders)
+  document.addEventListener('submit', (event) => {
+    const form = event.target;
+    if (form instanceof HTMLFormElement && isCartAdd(form.action)) stampForm(form);
+  }, true);
+
+  // Section scripts announce their /cart/add.js adds with these; a first add creates the cart to sync to
+  ['cart:refresh', 'cart:updated'].forEach(type => document.addEventListener(type, () => syncCart(), true));
+
+  current();
+  stampForms();
+  initBar();
+  startFromLanding();
+
+  // The session id attribute follows the visitor's analytics choice
+  if (window.CBConsent) CBConsent.onChange(() => syncCart());
+
+  // pubsub.js / constants.js globals, loaded before this file
+  if (typeof subscribe === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+    subscribe(PUB_SUB_EVENTS.cartUpdate, () => syncCart());
+  }
+
+  window.CBCreatorSession = {
+    CREATOR_ATTRIBUTE,
+    LANDING_ATTRIBUTE,
+    SESSION_ATTRIBUTE,
+    CREATOR_PROPERTY,
+    configure,
+    start,
+    startFromLanding,
+    current,
+    creator,
+    end,
+    dismissBar,
+    creatorPageUrl,
+    lineProperties,
+    appendLineProperties,
+    cartAttributes,
+  };
+})();
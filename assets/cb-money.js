@@ -0,0 +1,124 @@
+/**
+ * CreatorB Money Formatting
+ * Formats prices in the shopper's active currency for the creator pages,
+ * the dynamic pricing snippet and the mock worker.
+ *
+ * - Shop currency: the shop's own money_format ({{amount}} placeholders)
+ * - Any other presentment currency (Markets): Intl.NumberFormat with
+ *   Shopify.currency.active and Shopify.locale
+ *
+ * Amounts are major units (19.99). Liquid and the Ajax Cart API already
+ * return presentment-currency prices, so switching country through
+ * localization-form.js reloads the page with converted amounts; this module
+ * only has to format them and convert shop-currency thresholds via
+ * Shopify.currency.rate.
+ */
+
+(function() {
+  'use strict';
+
+  function settings() {
+    return window.CB_MONEY || {};
+  }
+
+  function activeCurrency() {
+    return window.Shopify?.currency?.active || settings().shopCurrency || 'USD';
+  }
+
+  function locale() {
+    return window.Shopify?.locale || document.documentElement.lang || 'en';
+  }
+
+  /**
+   * Presentment amount per 1 unit of shop currency
+   */
+  function rate() {
+    return parseFloat(window.Shopify?.currency?.rate) || 1;
+  }
+
+  function fromShopCurrency(amount) {
+    return amount * rate();
+  }
+
+  function delimit(cents, precision, thousands = ',', decimal = '.') {
+    const [whole, fraction] = (cents / 100).toFixed(precision).split('.');
+    const grouped = whole.replace(/(\d)(?=(\d{3})+(?!\d))/g, `$1${thousands}`);
+    return fraction ? `${grouped}${decimal}${fraction}` : grouped;
+  }
+
+  /**
+   * Shopify money_format placeholders, e.g. "${{amount}}" or "{{amount_with_comma_separator}} €"
+   */
+  function formatWithPattern(cents, pattern) {
+    const template = pattern.replace(/<[^>]*>/g, '');
+
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/, (_, placeholder) => {
+      switch (placeholder) {
+        case 'amount_no_decimals':
+          return delimit(cents, 0);
+        case 'amount_with_comma_separator':
+          return delimit(cents, 2, '.', ',');
+        case 'amount_no_decimals_with_comma_separator':
+          return delimit(cents, 0, '.', ',');
+        case 'amount_with_apostrophe_separator':
+          return delimit(cents, 2, "'", '.');
+        case 'amount_no_decimals_with_space_separator':
+          return delimit(cents, 0, ' ');
+        case 'amount_with_space_separator':
+          return delimit(cents, 2, ' ', ',');
+        case 'amount_with_period_and_space_separator':
+          return delimit(cents, 2, ' ', '.');
+        default:
+          return delimit(cents, 2);
+      }
+    });
+  }
+
+  function format(amount) {
+    const value = parseFloat(amount) || 0;
+    const currency = activeCurrency();
+    const { moneyFormat, shopCurrency } = settings();
+
+    if (moneyFormat && currency === shopCurrency) {
+      return formatWithPattern(Math.round(value * 100), moneyFormat);
+    }
+
+    try {
+      return new Intl.NumberFormat(locale(), { style: 'currency', currency }).format(value);
+    } catch {
+      return `${value.toFixed(2)} ${currency}`;
+    }
+  }
+
+  function formatCents(cents) {
+    return format((parseInt(cents, 10) || 0) / 100);
+  }
+
+  /**
+   * Read an amount out of rendered price text ("$1,299.00", "1.299,00 €", "¥1,299").
+   * A trailing separator followed by one or two digits is the decimal point.
+   */
+  function parse(text) {
+    const match = String(text || '').match(/\d[\d.,'\s]*/);
+    if (!match) return null;
+
+    const token = match[0].trim();
+    const digits = token.replace(/[^\d.,]/g, '');
+    const decimalMatch = digits.match(/[.,](\d{1,2})$/);
+
+    const whole = (decimalMatch ? digits.slice(0, -decimalMatch[0].length) : digits).replace(/[.,]/g, '');
+    const value = parseFloat(decimalMatch ? `${whole}.${decimalMatch[1]}` : whole);
+
+    return isNaN(value) ? null : { match: token, value };
+  }
+
+  window.CBMoney = {
+    activeCurrency,
+    rate,
+    fromShopCurrency,
+    format,
+    formatCents,
+    formatWithPattern,
+    parse,
+  };
+})();
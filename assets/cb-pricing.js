@@ -0,0 +1,181 @@
+/**
+ * CreatorB Pricing Engine
+ * The dynamic pricing contract behind the creator shop (cb-commerce-v2.js),
+ * the only page that shows creator prices: its checkout quote holds them
+ * through to Shopify's checkout. The creator bio page
+ * (creator-bio-page.liquid) and storefront product/collection pages
+ * (snippets/dynamic-pricing.liquid) only read the eligible product list to
+ * mark the creator's picks; their prices are never changed.
+ *
+ * Contract
+ * - Delta: the worker's `suggested_delta` is a percentage (5 means +5%).
+ *   normalizeDelta() converts it to a fraction exactly once; everything else
+ *   works in fractions (0.05).
+ * - Floors and ceilings: the fraction is clamped to [minDelta, maxDelta], so a
+ *   price never moves further than that from its base price.
+ * - Small items: base prices below minBasePrice (shop currency, converted to
+ *   the active currency) are never adjusted.
+ * - Rounding: prices are major-unit numbers (19.99), rounded half-up to cents.
+ * - Eligibility: only products/variants in the creator's product list are
+ *   repriced. An entry with just product_id covers every variant; an entry
+ *   with variant_id covers that variant only. Plain ids are product ids.
+ * - Expiry: state carries fetchedAt/expiresAt and is ignored once expired.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'cb_pricing';
+
+  const DEFAULT_RULES = {
+    minDelta: -0.3,
+    maxDelta: 0.3,
+    minBasePrice: 10,
+    ttl: 24 * 60 * 60 * 1000,
+  };
+
+  let rules = { ...DEFAULT_RULES };
+
+  function configure(overrides = {}) {
+    rules = { ...DEFAULT_RULES, ...overrides };
+    return rules;
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  function round(price) {
+    return Math.round((price + Number.EPSILON) * 100) / 100;
+  }
+
+  /**
+   * Worker percentage (5) -> clamped fraction (0.05)
+   */
+  function normalizeDelta(suggestedDelta) {
+    const percent = parseFloat(suggestedDelta);
+    if (!isFinite(percent)) return 0;
+    return clamp(percent / 100, rules.minDelta, rules.maxDelta);
+  }
+
+  function normalizeProducts(products) {
+    return (products || []).map(entry => {
+      if (entry && typeof entry === 'object') {
+        return {
+          productId: entry.product_id != null ? String(entry.product_id) : null,
+          variantId: entry.variant_id != null ? String(entry.variant_id) : null,
+        };
+      }
+      return { productId: String(entry), variantId: null };
+    });
+  }
+
+  function createState({ creator, suggestedDelta, products, now = Date.now() }) {
+    return {
+      creator,
+      delta: normalizeDelta(suggestedDelta),
+      products: normalizeProducts(products),
+      fetchedAt: now,
+      expiresAt: now + rules.ttl,
+    };
+  }
+
+  function isExpired(state, now = Date.now()) {
+    return !state || !state.expiresAt || now >= state.expiresAt;
+  }
+
+  /**
+   * Without a variantId, a product is eligible when any of its variants is
+   */
+  function isEligible(state, productId, variantId = null) {
+    if (isExpired(state)) return false;
+
+    const product = productId != null ? String(productId) : null;
+    const variant = variantId != null ? String(variantId) : null;
+
+    return state.products.some(entry => {
+      if (entry.variantId) {
+        return variant ? entry.variantId === variant : entry.productId === product;
+      }
+      return entry.productId === product;
+    });
+  }
+
+  /**
+   * Apply a delta fraction to a base price under the floor/ceiling rules
+   */
+  function adjust(basePrice, delta) {
+    const base = parseFloat(basePrice);
+    const minBasePrice = window.CBMoney ? CBMoney.fromShopCurrency(rules.minBasePrice) : rules.minBasePrice;
+    if (!isFinite(base) || base < minBasePrice || !delta) return base;
+
+    const floor = base * (1 + rules.minDelta);
+    const ceiling = base * (1 + rules.maxDelta);
+    return round(clamp(base * (1 + delta), floor, ceiling));
+  }
+
+  /**
+   * Price a product or variant for the given state; returns the base price
+   * when the state is missing, expired or the item is not eligible
+   */
+  function apply(basePrice, state, { productId, variantId } = {}) {
+    if (!isEligible(state, productId, variantId)) return parseFloat(basePrice);
+    return adjust(basePrice, state.delta);
+  }
+
+  function save(state) {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Storage unavailable (private mode) - pricing still applies to this page
+    }
+  }
+
+  function load() {
+    try {
+      const state = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+      return isExpired(state) ? null : state;
+    } catch {
+      return null;
+    }
+  }
+
+  function clear() {
+    sessionStorage.removeItem(STORAGE_KEY);
+  }
+
+  /**
+   * Fetch the creator's delta and product list from the pricing worker
+   * and persist the resulting state for other pages
+   */
+  async function fetchState(workerUrl, creator) {
+    const [metricsData, productsData] = await Promise.all([
+      fetch(`${workerUrl}/metrics/${creator}`).then(r => r.ok ? r.json() : { suggested_delta: 0 }),
+      fetch(`${workerUrl}/creator-products/${creator}`).then(r => r.ok ? r.json() : { products: [] }),
+    ]);
+
+    const state = createState({
+      creator,
+      suggestedDelta: metricsData.suggested_delta,
+      products: productsData.products,
+    });
+
+    save(state);
+    return state;
+  }
+
+  window.CBPricing = {
+    STORAGE_KEY,
+    configure,
+    normalizeDelta,
+    createState,
+    isExpired,
+    isEligible,
+    adjust,
+    apply,
+    save,
+    load,
+    clear,
+    fetchState,
+  };
+})();
@@ -0,0 +1,205 @@
+/**
+ * CreatorB Purchase Pixel
+ * Customer events (web pixel) script that reports creator purchases.
+ *
+ * Setup: Shopify admin > Settings > Customer events > Add custom pixel,
+ * paste this file, set permissions to "Not required" for analytics and
+ * connect. Themes can't install pixels themselves, so the file ships here
+ * to keep it versioned with the checkout hand-off it reads.
+ *
+ * Consent: "Not required" lets creator sales be counted for every order,
+ * so the pixel applies the visitor's choice itself, like cb-consent.js on
+ * the storefront. Without analytics consent the report keeps only the
+ * creator, revenue, line items, discount codes and the touches' campaign
+ * fields: the order id, checkout token, session ids, landing pages and the
+ * touches' click ids and referrer are left out, so the purchase can't be
+ * tied back to an order or a visit.
+ *
+ * On checkout_completed it:
+ * - finds the creators on the order: the _creator line property (Ajax cart
+ *   adds), then for other lines the _cb_creator cart attribute (every
+ *   creator shop hand-off), the storefront creator session's
+ *   _cb_session_creator (cb-creator-session.js) and the creator of the last
+ *   or first touch (_cb_last_touch / _cb_first_touch, written by
+ *   cb-attribution.js)
+ * - POSTs one `purchase` event per creator to ANALYTICS_URL/track, in the
+ *   same { events: [...] } shape cb-commerce-v2.js sends, with line items
+ *   and revenue (plus, with consent, the order id and, for the session's
+ *   creator, the creator session's landing page and id, _cb_landing_page /
+ *   _cb_creator_session, for commission reconciliation)
+ * - leaves a cb_purchase marker in the storefront's localStorage so the
+ *   creator page clears that creator's cart snapshot on the next visit
+ * - remembers the order in cb_reported_orders once the report is accepted;
+ *   the creator page consumes cb_purchase, so it can't be the dedupe key,
+ *   and a failed report is sent again if the thank-you page replays the event
+ *
+ * Verifying locally: point ANALYTICS_URL at a local stand-in (any server
+ * that logs POST bodies, exposed over https through a tunnel), set DEBUG to
+ * true and place a test order; each payload is also logged to the console.
+ */
+
+const ANALYTICS_URL = 'https://creatorb.io/api';
+const DEBUG = false;
+
+const PURCHASE_STORAGE_KEY = 'cb_purchase';
+const REPORTED_STORAGE_KEY = 'cb_reported_orders';
+const MAX_REPORTED_ORDERS = 20;
+const CREATOR_PROPERTY = '_creator';
+const CREATOR_ATTRIBUTE = '_cb_creator';
+const CREATOR_ID_ATTRIBUTE = '_cb_creator_id';
+const SESSION_ATTRIBUTE = '_cb_session';
+const SESSION_CREATOR_ATTRIBUTE = '_cb_session_creator';
+const LANDING_ATTRIBUTE = '_cb_landing_page';
+const CREATOR_SESSION_ATTRIBUTE = '_cb_creator_session';
+const FIRST_TOUCH_ATTRIBUTE = '_cb_first_touch';
+const LAST_TOUCH_ATTRIBUTE = '_cb_last_touch';
+
+// Kept current by the visitorConsentCollected subscription below
+let analyticsAllowed = Boolean(init.customerPrivacy?.analyticsProcessingAllowed);
+
+function toMap(pairs) {
+  return Object.fromEntries((pairs || []).map(({ key, value }) => [key, value]));
+}
+
+function money(value) {
+  return Math.round((parseFloat(value?.amount) || 0) * 100) / 100;
+}
+
+function parseTouch(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function reportedOrders() {
+  try {
+    const orders = JSON.parse((await browser.localStorage.getItem(REPORTED_STORAGE_KEY)) || '[]');
+    return Array.isArray(orders) ? orders : [];
+  } catch {
+    return [];
+  }
+}
+
+async function markReported(orderId) {
+  const orders = (await reportedOrders()).filter(id => id !== orderId);
+  orders.push(orderId);
+  await browser.localStorage.setItem(REPORTED_STORAGE_KEY, JSON.stringify(orders.slice(-MAX_REPORTED_ORDERS)));
+}
+
+// Click ids, the referrer and the landing page identify a visit, like the session id
+function touchForReport(touch) {
+  if (!touch || analyticsAllowed) return touch;
+
+  const { click_ids, referrer, landing_page, ...campaign } = touch;
+  return campaign;
+}
+
+function lineCreator(line, fallback) {
+  return toMap(line.properties)[CREATOR_PROPERTY] || fallback || null;
+}
+
+function toLineItem(line) {
+  const quantity = line.quantity || 0;
+  const revenue = line.finalLinePrice
+    ? money(line.finalLinePrice)
+    : money(line.variant?.price) * quantity;
+
+  return {
+    product_id: line.variant?.product?.id || null,
+    variant_id: line.variant?.id || null,
+    title: line.title,
+    variant_title: line.variant?.title || null,
+    quantity,
+    revenue,
+  };
+}
+
+/**
+ * One purchase event per creator on the order; orders without a creator
+ * return an empty list
+ */
+function purchaseEvents(checkout) {
+  const attributes = toMap(checkout.attributes);
+  const handoffCreator = attributes[CREATOR_ATTRIBUTE];
+  const sessionCreator = attributes[SESSION_CREATOR_ATTRIBUTE];
+  const firstTouch = parseTouch(attributes[FIRST_TOUCH_ATTRIBUTE]);
+  const lastTouch = parseTouch(attributes[LAST_TOUCH_ATTRIBUTE]);
+  // Lines without a _creator property fall back to these, in order
+  const orderCreator = handoffCreator || sessionCreator || lastTouch?.creator || firstTouch?.creator;
+  const byCreator = new Map();
+
+  (checkout.lineItems || []).forEach(line => {
+    const creator = lineCreator(line, orderCreator);
+    if (!creator) return;
+
+    if (!byCreator.has(creator)) byCreator.set(creator, []);
+    byCreator.get(creator).push(toLineItem(line));
+  });
+
+  return [...byCreator.entries()].map(([creator, items]) => ({
+    event_type: 'purchase',
+    creator,
+    // The creator id and session only exist for the creator that handed off checkout
+    creator_id: creator === handoffCreator ? attributes[CREATOR_ID_ATTRIBUTE] || null : null,
+    session_id: creator === handoffCreator && analyticsAllowed ? attributes[SESSION_ATTRIBUTE] || null : null,
+    metadata: {
+      // The order and checkout ids tie the report to an order
+      order_id: analyticsAllowed ? checkout.order?.id || null : null,
+      checkout_token: analyticsAllowed ? checkout.token || null : null,
+      currency: checkout.currencyCode,
+      revenue: Math.round(items.reduce((sum, item) => sum + item.revenue, 0) * 100) / 100,
+      order_total: money(checkout.totalPrice),
+      discount_codes: (checkout.discountApplications || [])
+        .filter(discount => discount.type === 'DISCOUNT_CODE')
+        .map(discount => discount.title),
+      attribution: { first: touchForReport(firstTouch), last: touchForReport(lastTouch) },
+      landing_page: creator === sessionCreator && analyticsAllowed
+        ? attributes[LANDING_ATTRIBUTE] || null
+        : null,
+      creator_session: creator === sessionCreator && analyticsAllowed
+        ? attributes[CREATOR_SESSION_ATTRIBUTE] || null
+        : null,
+      items,
+    },
+  }));
+}
+
+customerPrivacy.subscribe('visitorConsentCollected', (event) => {
+  analyticsAllowed = Boolean(event.customerPrivacy?.analyticsProcessingAllowed);
+});
+
+analytics.subscribe('checkout_completed', async (event) => {
+  const checkout = event.data?.checkout;
+  if (!checkout) return;
+
+  const events = purchaseEvents(checkout);
+  if (events.length === 0) return;
+
+  // The thank-you page can replay the event on reload - report each order once
+  const orderId = checkout.order?.id || checkout.token;
+  if ((await reportedOrders()).includes(orderId)) return;
+
+  await browser.localStorage.setItem(PURCHASE_STORAGE_KEY, JSON.stringify({
+    orderId,
+    creators: events.map(purchase => purchase.creator),
+    completedAt: Date.now(),
+  }));
+
+  if (DEBUG) console.log('[cb-purchase-pixel]', events);
+
+  try {
+    const response = await fetch(`${ANALYTICS_URL}/track`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ events }),
+      keepalive: true,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    await markReported(orderId);
+  } catch (error) {
+    if (DEBUG) console.warn('[cb-purchase-pixel] report failed', error);
+  }
+});
@@ -0,0 +1,232 @@
+/**
+ * CreatorB Wallets
+ * Payment Request API adapters behind the creator shop's express checkout
+ * buttons (Apple Pay, Google Pay).
+ *
+ * The wallet sheet collects contact and shipping details for the checkout
+ * hand-off. The sheet's payment token is never sent anywhere, so nothing is
+ * charged here: the total is labelled as paid at checkout and the sheet is
+ * closed with complete('unknown'). Shopify's checkout takes the payment.
+ *
+ * A wallet is only offered when the shop configured it (section settings)
+ * and the browser's canMakePayment() says yes. Unconfigured wallets, and any
+ * sheet that fails to open, keep the button on the name + email form. Shop
+ * Pay is Shopify's own wallet and always uses the form.
+ *
+ * Every browser API is injected through create({ PaymentRequest,
+ * ApplePaySession, fetch }), so the flow can be driven by a fake
+ * PaymentRequest outside a browser (dev/cb-wallets.test.js). The pure
+ * helpers (methodData, paymentDetails, contactFromResponse) need no browser.
+ */
+
+(function() {
+  'use strict';
+
+  const WALLET_METHODS = ['apple', 'google'];
+
+  const CARD_NETWORKS = ['amex', 'discover', 'masterCard', 'visa'];
+
+  const REQUEST_OPTIONS = {
+    requestPayerName: true,
+    requestPayerEmail: true,
+    requestPayerPhone: true,
+    requestShipping: true,
+    shippingType: 'shipping',
+  };
+
+  // The real shipping rate is chosen on Shopify's checkout
+  const SHIPPING_OPTION_ID = 'checkout';
+
+  function amount(currency, value) {
+    return { currency, value: (Math.round(value * 100) / 100).toFixed(2) };
+  }
+
+  /**
+   * PaymentMethodData for a wallet, or null when the shop hasn't configured
+   * it. Apple Pay needs a merchant id and the payment app's merchant
+   * validation endpoint; Google Pay needs a merchant id and the gateway the
+   * payment app tokenizes for.
+   */
+  function methodData(method, config = {}) {
+    if (method === 'apple' && config.appleMerchantId && config.appleSessionUrl) {
+      return {
+        supportedMethods: 'https://apple.com/apple-pay',
+        data: {
+          version: 3,
+          merchantIdentifier: config.appleMerchantId,
+          merchantCapabilities: ['supports3DS'],
+          supportedNetworks: CARD_NETWORKS,
+          countryCode: config.countryCode || 'US',
+        },
+      };
+    }
+
+    if (method === 'google' && config.googleMerchantId && config.googleGateway && config.googleGatewayMerchantId) {
+      return {
+        supportedMethods: 'https://google.com/pay',
+        data: {
+          environment: config.environment || 'TEST',
+          apiVersion: 2,
+          apiVersionMinor: 0,
+          merchantInfo: {
+            merchantId: config.googleMerchantId,
+            merchantName: config.merchantName,
+          },
+          allowedPaymentMethods: [{
+            type: 'CARD',
+            parameters: {
+              allowedAuthMethods: ['PAN_ONLY', 'CRYPTOGRAM_3DS'],
+              allowedCardNetworks: CARD_NETWORKS.map(network => network.toUpperCase()),
+            },
+            tokenizationSpecification: {
+              type: 'PAYMENT_GATEWAY',
+              parameters: { gateway: config.googleGateway, gatewayMerchantId: config.googleGatewayMerchantId },
+            },
+          }],
+        },
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * PaymentDetailsInit from the shop cart: one display item per line,
+   * a negative line for savings and a single "shipping at checkout" option
+   */
+  function paymentDetails({ lines = [], savings = 0, total, currency, labels = {} }) {
+    const displayItems = lines.map(line => ({
+      label: line.quantity > 1 ? `${line.title} × ${line.quantity}` : line.title,
+      amount: amount(currency, line.price * line.quantity),
+    }));
+
+    if (savings > 0) {
+      displayItems.push({ label: labels.savings || 'Savings', amount: amount(currency, -savings) });
+    }
+
+    return {
+      displayItems,
+      total: { label: labels.total || 'Total, paid at checkout', amount: amount(currency, total) },
+      shippingOptions: [{
+        id: SHIPPING_OPTION_ID,
+        label: labels.shipping || 'Shipping calculated at checkout',
+        amount: amount(currency, 0),
+        selected: true,
+      }],
+    };
+  }
+
+  /**
+   * PaymentResponse -> the controller's customerInfo shape
+   * (country and region are ISO codes, which Shopify's checkout accepts)
+   */
+  function contactFromResponse(response) {
+    const address = response.shippingAddress || {};
+    const [firstName, ...rest] = String(response.payerName || address.recipient || '').trim().split(/\s+/);
+    const addressLines = address.addressLine || [];
+
+    const info = {
+      email: response.payerEmail,
+      firstName,
+      lastName: rest.join(' '),
+      phone: response.payerPhone || address.phone,
+      address1: addressLines[0],
+      address2: addressLines.slice(1).join(', '),
+      city: address.city,
+      province: address.region,
+      zip: address.postalCode,
+      country: address.country,
+    };
+
+    return Object.fromEntries(Object.entries(info).filter(([, value]) => value));
+  }
+
+  function create({
+    PaymentRequest = window.PaymentRequest,
+    ApplePaySession = window.ApplePaySession,
+    fetch = window.fetch?.bind(window),
+    config = {},
+  } = {}) {
+    const availability = {};
+
+    function isConfigured(method) {
+      return Boolean(methodData(method, config));
+    }
+
+    async function checkAvailability(method) {
+      const data = methodData(method, config);
+      if (!PaymentRequest || !data) return false;
+
+      // Safari only lists Apple Pay when a session can be created
+      if (method === 'apple' && !ApplePaySession?.canMakePayments?.()) return false;
+
+      try {
+        const request = new PaymentRequest([data], paymentDetails({ total: 0, currency: config.currency || 'USD' }));
+        return Boolean(await request.canMakePayment());
+      } catch {
+        return false;
+      }
+    }
+
+    /**
+     * Resolve which configured wallets this browser can show; cached per page
+     */
+    async function detect(methods = WALLET_METHODS) {
+      await Promise.all(methods.map(async (method) => {
+        if (!(method in availability)) availability[method] = await checkAvailability(method);
+      }));
+
+      return methods.filter(method => availability[method]);
+    }
+
+    function isAvailable(method) {
+      return availability[method] === true;
+    }
+
+    async function validateMerchant(event) {
+      const response = await fetch(config.appleSessionUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ validation_url: event.validationURL, domain: config.domain }),
+      });
+      if (!response.ok) throw new Error('Apple Pay merchant validation failed');
+      return response.json();
+    }
+
+    /**
+     * Open the wallet sheet and resolve with customerInfo. Rejects with an
+     * AbortError when the shopper closes the sheet.
+     */
+    async function collect(method, details) {
+      const data = methodData(method, config);
+      if (!PaymentRequest || !data) throw new Error(`Wallet ${method} is not configured`);
+
+      const request = new PaymentRequest([data], details, REQUEST_OPTIONS);
+
+      // Any address is accepted here; Shopify's checkout checks it against shipping zones
+      request.addEventListener('shippingaddresschange', (event) => event.updateWith(details));
+      request.addEventListener('shippingoptionchange', (event) => event.updateWith(details));
+
+      if (method === 'apple') {
+        request.addEventListener('merchantvalidation', (event) => event.complete(validateMerchant(event)));
+      }
+
+      const response = await request.show();
+      const contact = contactFromResponse(response);
+
+      // The token is discarded - 'unknown' closes the sheet without a success tick
+      await response.complete('unknown');
+      return contact;
+    }
+
+    return { detect, isAvailable, isConfigured, collect };
+  }
+
+  window.CBWallets = {
+    WALLET_METHODS,
+    methodData,
+    paymentDetails,
+    contactFromResponse,
+    create,
+  };
+})();
@@ -0,0 +1,238 @@
+/**
+ * CreatorB Mock Worker
+ * Local stand-in for the creatorbio-pricing worker. Requests to
+ * CB_CONFIG.workerUrl are answered in the browser so the creator flow
+ * (dynamic pricing, price quotes, discount codes, wishlists) can be exercised
+ * end to end without the deployed worker. Everything else goes to the network untouched.
+ *
+ * Development only: dev/ is outside the theme's folders, so `shopify theme
+ * push` never uploads this file. To use it, open a creator page on a
+ * development theme and paste the file into the DevTools console (or save
+ * it as a DevTools snippet). Set CB_CONFIG.mockDelta / mockDiscountCodes
+ * first to change the defaults. Pricing is fetched again through the mock
+ * once it's installed.
+ *
+ * Quotes are "signed" with a fixed development secret; the real worker signs
+ * with its own key and creates the matching Shopify discount code.
+ */
+
+(function() {
+  'use strict';
+
+  const CONFIG = window.CB_CONFIG || {};
+  if (!CONFIG.workerUrl || window.CBMockWorker) return;
+
+  const MOCK_DELTA = CONFIG.mockDelta ?? -10; // percent, like suggested_delta
+  const QUOTE_TTL = 15 * 60 * 1000;
+  const MOCK_SECRET = 'cb-mock-worker';
+  const APP_PROXY_PATH = `${window.Shopify?.routes?.root || '/'}apps/creatorbio`;
+
+  // <CREATOR>10 is always valid; add more through CB_CONFIG.mockDiscountCodes
+  const MOCK_DISCOUNTS = {
+    [`${(CONFIG.creator || 'CREATOR').toUpperCase()}10`]: { type: 'percentage', value: 10, title: '10% off' },
+    WELCOME5: { type: 'fixed_amount', value: 5, title: '$5 off $25+', minimumSubtotal: 25 },
+    ...CONFIG.mockDiscountCodes,
+  };
+
+  const nativeFetch = window.fetch.bind(window);
+  const handlers = [];
+
+  /**
+   * Register a handler for METHOD + path pattern (":name" segments become params)
+   */
+  function route(method, pattern, handler) {
+    const keys = [];
+    const source = pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    handlers.push({ method, regex: new RegExp(`^${source}$`), keys, handler });
+  }
+
+  function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Small deterministic hash (FNV-1a) - enough to make tampering visible in dev
+  function sign(payload) {
+    let hash = 0x811c9dc5;
+    const input = `${MOCK_SECRET}.${payload}`;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  // Every product rendered in the shop counts as creator-linked
+  function shopProductIds() {
+    return [...document.querySelectorAll('.cb-shop__product[data-product-id], .cb-product-card[data-product-id]')]
+      .map(el => el.dataset.productId);
+  }
+
+  function toPresentment(amount) {
+    return window.CBMoney ? CBMoney.fromShopCurrency(amount) : amount;
+  }
+
+  function formatMoney(amount) {
+    return window.CBMoney ? CBMoney.format(amount) : amount.toFixed(2);
+  }
+
+  function pricingState(creator) {
+    if (!window.CBPricing) return null;
+    return CBPricing.createState({ creator, suggestedDelta: MOCK_DELTA, products: shopProductIds() });
+  }
+
+  route('GET', '/metrics/:creator', () => json({ suggested_delta: MOCK_DELTA }));
+
+  route('GET', '/creator-products/:creator', () => json({
+    products: shopProductIds().map(id => ({ product_id: id })),
+  }));
+
+  route('POST', '/track/:creator/:kind', () => json({ ok: true }));
+
+  route('POST', '/quote', async ({ body }) => {
+    const lines = body.lines || [];
+    if (!body.creator || lines.length === 0) {
+      return json({ error: 'creator and lines are required' }, 400);
+    }
+
+    // The real worker reads prices from Shopify; the storefront cart has the same variants
+    const cart = await nativeFetch(`${window.routes?.cart_url || '/cart'}.js`).then(r => r.json());
+    const state = pricingState(body.creator);
+
+    let total = 0;
+    let baseTotal = 0;
+    const quoted = [];
+
+    for (const line of lines) {
+      const cartLine = cart.items.find(item => String(item.variant_id) === String(line.variant_id));
+      if (!cartLine) return json({ error: `Unknown variant ${line.variant_id}` }, 422);
+
+      const basePrice = cartLine.price / 100;
+      const price = state
+        ? CBPricing.apply(basePrice, state, { productId: line.product_id, variantId: line.variant_id })
+        : basePrice;
+
+      quoted.push({ variant_id: line.variant_id, quantity: line.quantity, price });
+      total += price * line.quantity;
+      baseTotal += basePrice * line.quantity;
+    }
+
+    const expiresAt = Date.now() + QUOTE_TTL;
+    const payload = btoa(JSON.stringify({ creator: body.creator, lines: quoted, exp: expiresAt }));
+    const signature = sign(payload);
+    const savings = Math.round((baseTotal - total) * 100) / 100;
+
+    return json({
+      token: `${payload}.${signature}`,
+      expires_at: expiresAt,
+      total: Math.round(total * 100) / 100,
+      lines: quoted,
+      discount_code: savings > 0 ? `CBLOCK-${signature.slice(0, 6).toUpperCase()}` : null,
+    });
+  });
+
+  route('POST', '/discounts/validate', ({ body }) => {
+    const code = String(body.code || '').toUpperCase();
+    const discount = MOCK_DISCOUNTS[code];
+    const subtotal = (body.lines || []).reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    if (!discount) {
+      return json({ valid: false, code, message: `${code} isn't a valid discount code` }, 422);
+    }
+
+    // Thresholds and fixed amounts are in shop currency, like Shopify discounts
+    const minimumSubtotal = toPresentment(discount.minimumSubtotal || 0);
+    if (minimumSubtotal && subtotal < minimumSubtotal) {
+      return json({
+        valid: false,
+        code,
+        message: `Add ${formatMoney(minimumSubtotal - subtotal)} more to use ${code}`,
+      }, 422);
+    }
+
+    const savings = discount.type === 'percentage'
+      ? subtotal * discount.value / 100
+      : Math.min(toPresentment(discount.value), subtotal);
+
+    return json({ valid: true, code, title: discount.title, savings: Math.round(savings * 100) / 100 });
+  });
+
+  // The real worker keeps wishlists in the customer's creator_bio.wishlist
+  // metafield, keyed by creator; localStorage plays that metafield here
+  function wishlistStore(customer) {
+    try {
+      return JSON.parse(localStorage.getItem(`cb_mock_wishlist:${customer}`) || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  // Reached through the App Proxy path; the real worker checks the proxy
+  // signature before trusting logged_in_customer_id
+  route('GET', '/wishlist', ({ query }) => {
+    const customer = query.get('logged_in_customer_id');
+    if (!customer) return json({ error: 'Not logged in' }, 401);
+
+    const creator = query.get('creator') || 'shop';
+    return json({ creator, items: wishlistStore(customer)[creator] || [] });
+  });
+
+  route('POST', '/wishlist', ({ query, body }) => {
+    const customer = query.get('logged_in_customer_id');
+    if (!customer) return json({ error: 'Not logged in' }, 401);
+
+    if (!body.creator || !Array.isArray(body.items)) {
+      return json({ error: 'creator and items are required' }, 400);
+    }
+
+    const store = wishlistStore(customer);
+    store[body.creator] = body.items.slice(0, 100);
+    localStorage.setItem(`cb_mock_wishlist:${customer}`, JSON.stringify(store));
+    return json({ ok: true, count: store[body.creator].length });
+  });
+
+  window.fetch = async function(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+    const base = new URL(CONFIG.workerUrl);
+    const proxy = new URL(APP_PROXY_PATH, window.location.href);
+    const proxied = url.origin === proxy.origin && url.pathname.startsWith(`${proxy.pathname}/`);
+
+    if (url.origin !== base.origin && !proxied) return nativeFetch(input, init);
+
+    // Shopify adds the logged-in customer to proxied requests (CONFIG.customerId plays it here)
+    if (proxied) url.searchParams.set('logged_in_customer_id', CONFIG.customerId || '');
+
+    const method = (init.method || 'GET').toUpperCase();
+    const path = proxied
+      ? url.pathname.slice(proxy.pathname.length)
+      : url.pathname.replace(base.pathname.replace(/\/$/, ''), '') || '/';
+
+    for (const { method: routeMethod, regex, keys, handler } of handlers) {
+      const match = routeMethod === method && path.match(regex);
+      if (!match) continue;
+
+      const params = Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+      let body = {};
+      try {
+        body = init.body ? JSON.parse(init.body) : {};
+      } catch {
+        return json({ error: 'Invalid JSON' }, 400);
+      }
+
+      return handler({ params, body, query: url.searchParams });
+    }
+
+    return json({ error: `No mock route for ${method} ${path}` }, 404);
+  };
+
+  window.CBMockWorker = { route, sign };
+  console.log('CreatorB mock worker active for', CONFIG.workerUrl, 'and', APP_PROXY_PATH);
+
+  // The page fetched pricing from the real worker before the mock was pasted
+  window.cbCommerce?.applyDynamicPricing();
+})();
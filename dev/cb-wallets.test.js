@@ -0,0 +1,180 @@
+/**
+ * Tests for assets/cb-wallets.js, driven by a fake PaymentRequest.
+ * Development only, like cb-mock-worker.js: run with `node --test dev/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadWallets() {
+  const window = {};
+  const source = fs.readFileSync(path.join(__dirname, '../assets/cb-wallets.js'), 'utf8');
+  vm.runInThisContext(`(function(window) {${source}\n})`)(window);
+  return window.CBWallets;
+}
+
+const CBWallets = loadWallets();
+
+const CONFIG = {
+  appleMerchantId: 'merchant.com.example',
+  appleSessionUrl: 'https://payments.example/apple/session',
+  googleMerchantId: 'BCR2DN4T000000',
+  googleGateway: 'example-gateway',
+  googleGatewayMerchantId: 'shop-123',
+  currency: 'EUR',
+};
+
+const RESPONSE = {
+  payerName: 'Ada Lovelace Byron',
+  payerEmail: 'ada@example.com',
+  payerPhone: '+44 20 0000 0000',
+  shippingAddress: {
+    addressLine: ['12 St James Sq', 'Flat 3'],
+    city: 'London',
+    region: '',
+    postalCode: 'SW1Y 4JH',
+    country: 'GB',
+  },
+};
+
+/**
+ * Fake PaymentRequest: canMakePayment resolves `canMakePayment`, show()
+ * resolves RESPONSE (or rejects with `showError`); instances are recorded
+ */
+function fakePaymentRequest({ canMakePayment = true, showError = null } = {}) {
+  const instances = [];
+
+  class FakePaymentRequest {
+    constructor(methods, details, options) {
+      this.methods = methods;
+      this.details = details;
+      this.options = options;
+      this.listeners = {};
+      this.completed = null;
+      instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    async canMakePayment() {
+      return canMakePayment;
+    }
+
+    async show() {
+      if (showError) throw showError;
+      return { ...RESPONSE, complete: async (result) => { this.completed = result; } };
+    }
+  }
+
+  return { PaymentRequest: FakePaymentRequest, instances };
+}
+
+const applePaySession = { canMakePayments: () => true };
+
+test('detects configured wallets through canMakePayment', async () => {
+  const { PaymentRequest, instances } = fakePaymentRequest();
+  const wallets = CBWallets.create({ PaymentRequest, ApplePaySession: applePaySession, config: CONFIG });
+
+  assert.deepStrictEqual(await wallets.detect(), ['apple', 'google']);
+  assert.strictEqual(instances.length, 2);
+  assert.strictEqual(instances[1].methods[0].supportedMethods, 'https://google.com/pay');
+});
+
+test('hides wallets canMakePayment rejects', async () => {
+  const { PaymentRequest } = fakePaymentRequest({ canMakePayment: false });
+  const wallets = CBWallets.create({ PaymentRequest, ApplePaySession: applePaySession, config: CONFIG });
+
+  assert.deepStrictEqual(await wallets.detect(), []);
+  assert.strictEqual(wallets.isConfigured('google'), true);
+});
+
+test('leaves unconfigured wallets on the form', async () => {
+  const { PaymentRequest, instances } = fakePaymentRequest();
+  const wallets = CBWallets.create({ PaymentRequest, ApplePaySession: applePaySession, config: { currency: 'EUR' } });
+
+  assert.deepStrictEqual(await wallets.detect(), []);
+  assert.strictEqual(wallets.isConfigured('apple'), false);
+  assert.strictEqual(wallets.isConfigured('google'), false);
+  assert.strictEqual(instances.length, 0);
+});
+
+test('needs the gateway for Google Pay and the session URL for Apple Pay', () => {
+  assert.strictEqual(CBWallets.methodData('google', { ...CONFIG, googleGateway: '' }), null);
+  assert.strictEqual(CBWallets.methodData('apple', { ...CONFIG, appleSessionUrl: '' }), null);
+
+  const google = CBWallets.methodData('google', CONFIG);
+  assert.deepStrictEqual(google.data.allowedPaymentMethods[0].tokenizationSpecification.parameters, {
+    gateway: 'example-gateway',
+    gatewayMerchantId: 'shop-123',
+  });
+});
+
+test('hides Apple Pay without a usable ApplePaySession', async () => {
+  const { PaymentRequest } = fakePaymentRequest();
+  const wallets = CBWallets.create({ PaymentRequest, ApplePaySession: undefined, config: CONFIG });
+
+  assert.deepStrictEqual(await wallets.detect(), ['google']);
+});
+
+test('collects contact and shipping details from the sheet', async () => {
+  const { PaymentRequest, instances } = fakePaymentRequest();
+  const wallets = CBWallets.create({ PaymentRequest, config: CONFIG });
+  const details = CBWallets.paymentDetails({
+    lines: [{ title: 'Tee', price: 20, quantity: 2 }],
+    savings: 5,
+    total: 35,
+    currency: 'EUR',
+  });
+
+  const contact = await wallets.collect('google', details);
+
+  assert.deepStrictEqual(contact, {
+    email: 'ada@example.com',
+    firstName: 'Ada',
+    lastName: 'Lovelace Byron',
+    phone: '+44 20 0000 0000',
+    address1: '12 St James Sq',
+    address2: 'Flat 3',
+    city: 'London',
+    zip: 'SW1Y 4JH',
+    country: 'GB',
+  });
+
+  const request = instances[0];
+  assert.strictEqual(request.options.requestShipping, true);
+  assert.strictEqual(request.details.total.amount.value, '35.00');
+  assert.deepStrictEqual(request.details.displayItems.map(item => item.amount.value), ['40.00', '-5.00']);
+  assert.strictEqual(request.completed, 'unknown');
+});
+
+test('keeps the sheet total on address and option changes', async () => {
+  const { PaymentRequest, instances } = fakePaymentRequest();
+  const wallets = CBWallets.create({ PaymentRequest, config: CONFIG });
+  const details = CBWallets.paymentDetails({ total: 10, currency: 'EUR' });
+
+  await wallets.collect('google', details);
+
+  let updated = null;
+  instances[0].listeners.shippingaddresschange({ updateWith: (value) => { updated = value; } });
+  assert.strictEqual(updated, details);
+});
+
+test('rejects with AbortError when the shopper closes the sheet', async () => {
+  const abort = Object.assign(new Error('closed'), { name: 'AbortError' });
+  const { PaymentRequest } = fakePaymentRequest({ showError: abort });
+  const wallets = CBWallets.create({ PaymentRequest, config: CONFIG });
+
+  await assert.rejects(wallets.collect('google', CBWallets.paymentDetails({ total: 10, currency: 'EUR' })), { name: 'AbortError' });
+});
+
+test('refuses to open an unconfigured wallet', async () => {
+  const { PaymentRequest } = fakePaymentRequest();
+  const wallets = CBWallets.create({ PaymentRequest, config: {} });
+
+  await assert.rejects(wallets.collect('apple', {}), /not configured/);
+});